@@ -0,0 +1,353 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const path                 = require("path")
+
+/*  the pseudo package of all application modules  */
+const application = "(application)"
+
+/*  determine the resource filename of a module identifier (without loaders)  */
+const resource = (identifier) =>
+    String(identifier).replace(/^.*!/, "").replace(/\?.*$/, "")
+
+/*  determine a human-readable module name  */
+const modname = (identifier) => {
+    const filename = resource(identifier)
+    return path.isAbsolute(filename) ?
+        path.relative(process.cwd(), filename).replace(/\\/g, "/") : filename
+}
+
+/*  determine the npm package a module belongs to  */
+const versions = {}
+const packageOf = (identifier) => {
+    const filename = resource(identifier).replace(/\\/g, "/")
+    const m = filename.match(/^(.*\/node_modules\/)((?:@[^/]+\/)?[^/]+)\//)
+    if (m === null)
+        return { name: application, version: "", path: "" }
+    const dir = m[1] + m[2]
+    if (versions[dir] === undefined) {
+        versions[dir] = ""
+        try {
+            versions[dir] = JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf8")).version || ""
+        }
+        catch (ex) {
+            /*  version remains unknown  */
+        }
+    }
+    return {
+        name:    m[2],
+        version: versions[dir],
+        path:    path.isAbsolute(dir) ? path.relative(process.cwd(), dir).replace(/\\/g, "/") : dir
+    }
+}
+
+/*  flatten concatenated modules into their original modules  */
+const flatten = (modules) =>
+    modules.reduce((list, module) => {
+        if (Array.isArray(module.modules) && module.modules.length > 0) {
+            module.modules.forEach((inner) => {
+                list.push(Object.assign({}, inner, {
+                    chunks:     module.chunks,
+                    issuer:     inner.issuer || module.issuer,
+                    issuerPath: inner.issuerPath || module.issuerPath,
+                    reasons:    inner.reasons || module.reasons
+                }))
+            })
+        }
+        else
+            list.push(module)
+        return list
+    }, [])
+
+/*  determine the import chain of a module (from an entry to the module itself)  */
+const chainOf = (module, byIdentifier) => {
+    if (Array.isArray(module.issuerPath) && module.issuerPath.length > 0)
+        return module.issuerPath.map((issuer) => modname(issuer.identifier)).concat([ modname(module.identifier) ])
+    const chain = [ modname(module.identifier) ]
+    const seen = {}
+    let issuer = module.issuer
+    while (issuer && !seen[issuer]) {
+        seen[issuer] = true
+        chain.unshift(modname(issuer))
+        issuer = byIdentifier[issuer] !== undefined ? byIdentifier[issuer].issuer : null
+    }
+    return chain
+}
+
+/*  analyze Webpack statistics into chunks, packages and modules  */
+const analyze = (stats) => {
+    const modules = flatten(stats.modules || [])
+    const byIdentifier = {}
+    modules.forEach((module) => { byIdentifier[module.identifier] = module })
+
+    /*  group modules by chunk and package  */
+    const chunks = (stats.chunks || []).map((chunk) => ({
+        id:       chunk.id,
+        name:     chunk.names && chunk.names.length > 0 ? chunk.names.join(", ") : String(chunk.id),
+        size:     0,
+        packages: []
+    }))
+    const instances = {}
+    modules.forEach((module) => {
+        const owner = packageOf(module.identifier)
+        const key = `${owner.name}@${owner.path}`
+        if (owner.name !== application) {
+            if (instances[key] === undefined)
+                instances[key] = Object.assign({ size: 0, modules: 0 }, owner)
+            instances[key].size += module.size
+            instances[key].modules++
+        }
+        const info = {
+            name:  modname(module.identifier),
+            size:  module.size,
+            chain: chainOf(module, byIdentifier)
+        }
+        const ids = module.chunks || []
+        ids.forEach((id) => {
+            const chunk = chunks.find((chunk) => chunk.id === id)
+            if (chunk === undefined)
+                return
+            let group = chunk.packages.find((group) => group.key === key)
+            if (group === undefined) {
+                group = Object.assign({ key, size: 0, modules: [] }, owner)
+                chunk.packages.push(group)
+            }
+            group.modules.push(info)
+            group.size += module.size
+            chunk.size += module.size
+        })
+    })
+    chunks.forEach((chunk) => {
+        chunk.packages.sort((a, b) => b.size - a.size)
+        chunk.packages.forEach((group) => group.modules.sort((a, b) => b.size - a.size))
+    })
+    chunks.sort((a, b) => b.size - a.size)
+
+    /*  detect packages bundled at several versions or paths  */
+    const byName = {}
+    Object.keys(instances).forEach((key) => {
+        const instance = instances[key]
+        if (byName[instance.name] === undefined)
+            byName[instance.name] = []
+        byName[instance.name].push(instance)
+    })
+    const duplicates = Object.keys(byName)
+        .filter((name) => byName[name].length > 1)
+        .sort()
+        .map((name) => ({
+            name,
+            instances: byName[name].sort((a, b) => a.path.localeCompare(b.path))
+        }))
+    duplicates.forEach((duplicate) => {
+        chunks.forEach((chunk) => {
+            chunk.packages
+                .filter((group) => group.name === duplicate.name)
+                .forEach((group) => { group.duplicate = true })
+        })
+    })
+
+    return {
+        size: chunks.reduce((sum, chunk) => sum + chunk.size, 0),
+        chunks,
+        duplicates
+    }
+}
+
+/*  the client-side script for rendering the treemap  */
+const client = `(function () {
+    var data = JSON.parse(document.getElementById("data").textContent);
+    var map = document.getElementById("map");
+    var tip = document.getElementById("tip");
+    var crumbs = document.getElementById("crumbs");
+    var fmt = function (size) {
+        if (size < 1024) return size + " B";
+        if (size < 1024 * 1024) return (size / 1024).toFixed(1) + " KB";
+        return (size / (1024 * 1024)).toFixed(1) + " MB";
+    };
+    var esc = function (text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+    };
+    var hue = function (text) {
+        var h = 0;
+        for (var i = 0; i < text.length; i++)
+            h = (h * 31 + text.charCodeAt(i)) % 360;
+        return h;
+    };
+
+    /*  build the tree of nodes  */
+    var root = { label: "bundle", size: data.size, children: data.chunks.map(function (chunk) {
+        return { label: "chunk " + chunk.name, size: chunk.size, children: chunk.packages.map(function (group) {
+            return { label: group.name + (group.version ? "@" + group.version : ""), size: group.size,
+                pkg: group, children: group.modules.map(function (module) {
+                    return { label: module.name, size: module.size, module: module, pkg: group };
+                }) };
+        }) };
+    }) };
+
+    /*  lay out nodes as a squarified treemap  */
+    var worst = function (row, side) {
+        var sum = 0, max = 0, min = Infinity;
+        row.forEach(function (item) { sum += item.area; max = Math.max(max, item.area); min = Math.min(min, item.area); });
+        return Math.max(side * side * max / (sum * sum), (sum * sum) / (side * side * min));
+    };
+    var squarify = function (nodes, x, y, w, h) {
+        var total = 0;
+        nodes.forEach(function (node) { total += node.size; });
+        var rects = [];
+        if (total <= 0 || w <= 0 || h <= 0)
+            return rects;
+        var items = nodes.filter(function (node) { return node.size > 0; })
+            .map(function (node) { return { node: node, area: node.size * w * h / total }; })
+            .sort(function (a, b) { return b.area - a.area; });
+        while (items.length > 0) {
+            var side = Math.min(w, h);
+            var row = [ items[0] ];
+            var i = 1;
+            while (i < items.length && worst(row.concat([ items[i] ]), side) <= worst(row, side))
+                row.push(items[i++]);
+            var area = 0;
+            row.forEach(function (item) { area += item.area; });
+            if (w >= h) {
+                var rw = area / h, cy = y;
+                row.forEach(function (item) {
+                    var rh = item.area / rw;
+                    rects.push({ node: item.node, x: x, y: cy, w: rw, h: rh });
+                    cy += rh;
+                });
+                x += rw; w -= rw;
+            }
+            else {
+                var rh = area / w, cx = x;
+                row.forEach(function (item) {
+                    var cw = item.area / rh;
+                    rects.push({ node: item.node, x: cx, y: y, w: cw, h: rh });
+                    cx += cw;
+                });
+                y += rh; h -= rh;
+            }
+            items = items.slice(i);
+        }
+        return rects;
+    };
+
+    /*  render a node and its children  */
+    var render = function (node, x, y, w, h, depth) {
+        var el = document.createElement("div");
+        el.className = "node depth" + depth + (node.pkg && node.pkg.duplicate ? " duplicate" : "");
+        el.style.left = x + "px"; el.style.top = y + "px";
+        el.style.width = Math.max(w - 1, 0) + "px"; el.style.height = Math.max(h - 1, 0) + "px";
+        var color = node.pkg ? (node.pkg.name === "${application}" ? 210 : hue(node.pkg.name)) : 0;
+        el.style.backgroundColor = node.pkg ? "hsl(" + color + ", 45%, " + (node.module ? 72 : 60) + "%)" : "#e8e8e8";
+        if (w > 40 && h > 14) {
+            var label = document.createElement("span");
+            label.textContent = node.label + " (" + fmt(node.size) + ")";
+            el.appendChild(label);
+        }
+        el.addEventListener("mousemove", function (ev) {
+            ev.stopPropagation();
+            var html = "<b>" + esc(node.label) + "</b><br/>" + fmt(node.size);
+            if (node.pkg && node.pkg.path)
+                html += "<br/>" + esc(node.pkg.path);
+            if (node.pkg && node.pkg.duplicate)
+                html += "<br/><span class=\\"warn\\">bundled at several versions or paths</span>";
+            if (node.module)
+                html += "<br/><br/>included via:<br/>" + node.module.chain.map(esc).join("<br/>&rarr; ");
+            tip.innerHTML = html;
+            tip.style.display = "block";
+            tip.style.left = Math.min(ev.pageX + 12, window.innerWidth - 420) + "px";
+            tip.style.top = (ev.pageY + 12) + "px";
+        });
+        el.addEventListener("mouseleave", function () { tip.style.display = "none"; });
+        if (node.children && node.children.length > 0) {
+            el.addEventListener("click", function (ev) { ev.stopPropagation(); zoom(node); });
+            if (w > 30 && h > 30) {
+                squarify(node.children, 2, 16, w - 4, h - 18).forEach(function (rect) {
+                    el.appendChild(render(rect.node, rect.x, rect.y, rect.w, rect.h, depth + 1));
+                });
+            }
+        }
+        return el;
+    };
+
+    /*  zoom into a node  */
+    var path = [];
+    var zoom = function (node) {
+        var idx = path.indexOf(node);
+        if (idx >= 0)
+            path = path.slice(0, idx + 1);
+        else
+            path.push(node);
+        crumbs.innerHTML = "";
+        path.forEach(function (node) {
+            var a = document.createElement("a");
+            a.textContent = node.label;
+            a.href = "#";
+            a.addEventListener("click", function (ev) { ev.preventDefault(); zoom(node); });
+            crumbs.appendChild(a);
+        });
+        map.innerHTML = "";
+        var rect = map.getBoundingClientRect();
+        squarify(node.children || [], 0, 0, rect.width, rect.height).forEach(function (r) {
+            map.appendChild(render(r.node, r.x, r.y, r.w, r.h, 0));
+        });
+    };
+    zoom(root);
+    window.addEventListener("resize", function () { zoom(path[path.length - 1]); });
+})();
+`
+
+/*  escape a string for use in HTML  */
+const htmlEscape = (str) =>
+    String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+/*  generate a self-contained HTML document from an analysis  */
+const html = (analysis, title) => {
+    const data = JSON.stringify(analysis).replace(/</g, "\\u003c")
+    const duplicates = analysis.duplicates.length === 0 ?
+        "<p>No npm package is bundled at several versions or paths.</p>"
+        : "<table><tr><th>Package</th><th>Version</th><th>Path</th><th>Modules</th><th>Size</th></tr>" +
+        analysis.duplicates.map((duplicate) => duplicate.instances.map((instance) =>
+            `<tr><td>${htmlEscape(duplicate.name)}</td><td>${htmlEscape(instance.version)}</td>` +
+            `<td>${htmlEscape(instance.path)}</td><td>${instance.modules}</td><td>${instance.size}</td></tr>`
+        ).join("")).join("") + "</table>"
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8"/>
+<title>${htmlEscape(title)}</title>
+<style>
+body { margin: 0; padding: 10px 20px; font-family: Helvetica, Arial, sans-serif; font-size: 12px; color: #333; }
+h1 { font-size: 18px; } h2 { font-size: 15px; margin-top: 24px; }
+#crumbs a { margin-right: 12px; color: #336; } #crumbs a:before { content: "\\25B8 "; }
+#map { position: relative; width: 100%; height: 70vh; margin-top: 8px; background-color: #fafafa; }
+.node { position: absolute; overflow: hidden; box-sizing: border-box; border: 1px solid rgba(0, 0, 0, 0.25); cursor: pointer; }
+.node > span { display: block; padding: 1px 3px; white-space: nowrap; font-size: 11px; }
+.node.depth0 > span { font-weight: bold; }
+.node.duplicate { border: 2px solid #c00000; }
+#tip { display: none; position: absolute; z-index: 10; max-width: 400px; padding: 6px 8px; background-color: #fffff0;
+    border: 1px solid #999; box-shadow: 2px 2px 6px rgba(0, 0, 0, 0.3); font-size: 11px; pointer-events: none; }
+.warn { color: #c00000; font-weight: bold; }
+table { border-collapse: collapse; } td, th { padding: 2px 12px 2px 0; text-align: left; }
+</style>
+</head>
+<body>
+<h1>${htmlEscape(title)}</h1>
+<div id="crumbs"></div>
+<div id="map"></div>
+<div id="tip"></div>
+<h2>Duplicate Packages</h2>
+${duplicates}
+<script id="data" type="application/json">${data}</script>
+<script>
+${client}</script>
+</body>
+</html>
+`
+}
+
+module.exports = { analyze, html }
@@ -0,0 +1,93 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const path                 = require("path")
+
+/*  normalize a filename for use in the baseline  */
+const relname = (filename) =>
+    path.relative(process.cwd(), path.resolve(filename)).replace(/\\/g, "/")
+
+/*  determine the (whitespace normalized) source line text of a finding  */
+const lineText = async (finding, sources) => {
+    let source = sources[finding.filename]
+    if (source === undefined) {
+        source = await fs.readFile(finding.filename, "utf8").catch(() => "")
+        sources[finding.filename] = source
+    }
+    const line = source.split(/\r?\n/)[finding.line - 1]
+    return line !== undefined ? line.trim().replace(/\s+/g, " ") : ""
+}
+
+/*  convert a finding into a baseline entry  */
+const entry = async (finding, sources) => ({
+    filename: relname(finding.filename),
+    ctx:      finding.ctx,
+    ruleProc: finding.ruleProc,
+    ruleId:   finding.ruleId,
+    text:     await lineText(finding, sources),
+    message:  finding.message
+})
+
+/*  determine the key under which baseline entries are matched
+    (intentionally without line numbers, as lines shift over time)  */
+const key = (entry) =>
+    [ entry.filename, entry.ruleProc, entry.ruleId, entry.text ].join("\u0000")
+
+/*  load a baseline (or null if it does not exist)  */
+const load = async (filename) => {
+    if (!(await fs.exists(filename)))
+        return null
+    let data
+    try {
+        data = JSON.parse(await fs.readFile(filename, "utf8"))
+    }
+    catch (ex) {
+        throw new Error(`failed to parse baseline file "${filename}": ${ex.message}`)
+    }
+    if (typeof data !== "object" || data === null || !Array.isArray(data.findings))
+        throw new Error(`invalid baseline file "${filename}"`)
+    return data.findings
+}
+
+/*  save the findings as the new baseline  */
+const save = async (filename, findings, sources) => {
+    const entries = []
+    for (const finding of findings)
+        entries.push(await entry(finding, sources))
+    entries.sort((a, b) => key(a).localeCompare(key(b)) || a.message.localeCompare(b.message))
+    const data = JSON.stringify({ version: 1, findings: entries }, null, 4) + "\n"
+    await fs.writeFile(filename, data, { encoding: "utf8" })
+    return entries
+}
+
+/*  split findings into new and baselined ones and determine vanished baseline entries  */
+const apply = async (baseline, findings, sources) => {
+    const pool = {}
+    baseline.forEach((entry) => {
+        const k = key(entry)
+        if (pool[k] === undefined)
+            pool[k] = []
+        pool[k].push(entry)
+    })
+    const fresh      = []
+    const suppressed = []
+    for (const finding of findings) {
+        const k = key(await entry(finding, sources))
+        if (pool[k] !== undefined && pool[k].length > 0) {
+            pool[k].shift()
+            suppressed.push(finding)
+        }
+        else
+            fresh.push(finding)
+    }
+    const vanished = Object.keys(pool)
+        .reduce((vanished, k) => vanished.concat(pool[k]), [])
+    return { fresh, suppressed, vanished }
+}
+
+module.exports = { load, save, apply }
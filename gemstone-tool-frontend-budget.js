@@ -0,0 +1,155 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const minimatch            = require("minimatch")
+
+/*  the filename of the persisted size snapshots  */
+const snapshotFile = ".gemstone.sizes.json"
+
+/*  parse a size specification like 1024, "250 KB" or "1.5MB" into bytes  */
+const parseSize = (size) => {
+    if (typeof size === "number")
+        return size
+    const m = String(size).match(/^\s*(\d+(?:\.\d+)?)\s*(B|KB|K|MB|M)?\s*$/i)
+    if (m === null)
+        throw new Error(`invalid size specification "${size}"`)
+    const units = { "": 1, B: 1, K: 1024, KB: 1024, M: 1024 * 1024, MB: 1024 * 1024 }
+    return Math.round(parseFloat(m[1]) * units[(m[2] || "").toUpperCase()])
+}
+
+/*  format a size in bytes into a human-readable form  */
+const formatSize = (size) => {
+    const abs = Math.abs(size)
+    let text
+    if (abs < 1024)
+        text = `${abs} B`
+    else if (abs < 1024 * 1024)
+        text = `${(abs / 1024).toFixed(1).replace(/\.0$/, "")} KB`
+    else
+        text = `${(abs / (1024 * 1024)).toFixed(1).replace(/\.0$/, "")} MB`
+    return (size < 0 ? "-" : "") + text
+}
+
+/*  format the size difference to a previous build  */
+const formatDelta = (size, previous) => {
+    if (previous === undefined)
+        return "new"
+    const delta = size - previous
+    if (delta === 0)
+        return "±0"
+    return (delta > 0 ? "+" : "") + formatSize(delta)
+}
+
+/*  determine a name which is stable across builds (without content hashes,
+    both within a name like "main.3f2a9b1c.js" and leading like "3f2a9b1c.js")  */
+const stableName = (name) =>
+    String(name).replace(/(^|[./-])[0-9a-f]{8,}(?=[.-]|$)/g, "$1[hash]")
+
+/*  the files which accompany the code of a chunk (source maps, compressed variants and license texts)  */
+const sidecarRE = /\.(?:map|gz|br)$|\.LICENSE(?:\.txt)?$/i
+
+/*  determine the name of a chunk (its names or, for unnamed chunks, its id)  */
+const chunkName = (chunk) =>
+    chunk.names && chunk.names.length > 0 ? chunk.names.join(",") : String(chunk.id)
+
+/*  reduce Webpack statistics to a compact snapshot of the sizes  */
+const measure = (stats) => {
+    const assets = {}
+    const chunks = {}
+    const entries = {}
+    const stat = Object.assign({ assets: [], chunks: [], entrypoints: {} }, stats)
+    stat.assets.forEach((asset) => {
+        assets[stableName(asset.name)] = asset.size
+    })
+    stat.chunks.forEach((chunk) => {
+        chunks[chunkName(chunk)] = chunk.size
+    })
+    Object.keys(stat.entrypoints).forEach((name) => {
+        entries[name] = stat.entrypoints[name].assets
+            .filter((asset) => !sidecarRE.test(asset))
+            .reduce((sum, asset) => sum + (assets[stableName(asset)] || 0), 0)
+    })
+    return { entries, chunks, assets }
+}
+
+/*  validate the size specifications of the configured budgets  */
+const validate = (budgets) => {
+    Object.keys(budgets).forEach((type) => {
+        budgets[type].forEach((budget) => {
+            if (budget.warn !== undefined)
+                parseSize(budget.warn)
+            if (budget.error !== undefined)
+                parseSize(budget.error)
+        })
+    })
+}
+
+/*  check a snapshot of sizes against the configured budgets  */
+const check = (budgets, snapshot) => {
+    const violations = []
+    const types = { entry: "entries", chunk: "chunks", asset: "assets" }
+    Object.keys(types).forEach((type) => {
+        const sizes = snapshot[types[type]]
+        Object.keys(sizes).forEach((name) => {
+            const budget = (budgets[type] || []).find((budget) =>
+                name === budget.name || minimatch(name, budget.name))
+            if (budget === undefined)
+                return
+            const size = sizes[name]
+            if (budget.error !== undefined && size > parseSize(budget.error))
+                violations.push({ type, name, size, limit: parseSize(budget.error), severity: "error" })
+            else if (budget.warn !== undefined && size > parseSize(budget.warn))
+                violations.push({ type, name, size, limit: parseSize(budget.warn), severity: "warning" })
+        })
+    })
+    return violations
+}
+
+/*  load the snapshot of the previous build (or an empty one)  */
+const load = async (key) => {
+    if (!(await fs.exists(snapshotFile)))
+        return { entries: {}, chunks: {}, assets: {} }
+    let data
+    try {
+        data = JSON.parse(await fs.readFile(snapshotFile, "utf8"))
+    }
+    catch (ex) {
+        /*  silently ignore corrupted snapshots  */
+        data = {}
+    }
+    return data[key] || { entries: {}, chunks: {}, assets: {} }
+}
+
+/*  save the snapshot of the current build  */
+const save = async (key, snapshot) => {
+    let data = {}
+    if (await fs.exists(snapshotFile)) {
+        try {
+            data = JSON.parse(await fs.readFile(snapshotFile, "utf8"))
+        }
+        catch (ex) {
+            /*  silently overwrite corrupted snapshots  */
+            data = {}
+        }
+    }
+    data[key] = snapshot
+    await fs.writeFile(snapshotFile, JSON.stringify(data, null, 4) + "\n", { encoding: "utf8" })
+}
+
+module.exports = {
+    parseSize,
+    formatSize,
+    formatDelta,
+    stableName,
+    chunkName,
+    measure,
+    validate,
+    check,
+    load,
+    save
+}
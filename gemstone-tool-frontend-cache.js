@@ -0,0 +1,83 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const path                 = require("path")
+const crypto               = require("crypto")
+
+/*  calculate the hash of a content  */
+const hash = (content) =>
+    crypto.createHash("sha1").update(content).digest("hex")
+
+/*  create a cache of linting findings, keyed by source type, file and content hash  */
+module.exports = (options = {}) => {
+    const filename = options.filename || null
+    const key      = hash(JSON.stringify(options.config || {}))
+
+    /*  internal state  */
+    let entries = {}       /*  the cache entries, keyed by "<ctx>:<filename>"  */
+    let dirty   = false    /*  has the cache changed since loading/saving?      */
+
+    /*  determine the key of a cache entry  */
+    const id = (ctx, filename) =>
+        `${ctx}:${path.resolve(filename)}`
+
+    return {
+        /*  calculate the hash of a file content  */
+        hash,
+
+        /*  load the cache from the filesystem (if enabled)  */
+        async load () {
+            if (filename === null || !(await fs.exists(filename)))
+                return
+            let data
+            try {
+                data = JSON.parse(await fs.readFile(filename, "utf8"))
+            }
+            catch (ex) {
+                /*  silently ignore corrupted caches  */
+                return
+            }
+            if (typeof data === "object" && data !== null && data.key === key
+                && typeof data.entries === "object" && data.entries !== null)
+                entries = data.entries
+        },
+
+        /*  save the cache to the filesystem (if enabled and changed)  */
+        async save () {
+            if (filename === null || !dirty)
+                return
+            const data = JSON.stringify({ key, entries })
+            await fs.writeFile(filename, data, { encoding: "utf8" })
+            dirty = false
+        },
+
+        /*  retrieve the cache entry of a file (or null)  */
+        get (ctx, filename) {
+            const entry = entries[id(ctx, filename)]
+            return entry !== undefined ? entry : null
+        },
+
+        /*  store the cache entry of a file  */
+        set (ctx, filename, hash, findings, source) {
+            entries[id(ctx, filename)] = { hash, findings, source }
+            dirty = true
+        },
+
+        /*  remove the cache entries of all files of a source type which no longer exist  */
+        prune (ctx, filenames) {
+            const keep = {}
+            filenames.forEach((filename) => { keep[id(ctx, filename)] = true })
+            Object.keys(entries).forEach((key) => {
+                if (key.indexOf(`${ctx}:`) === 0 && !keep[key]) {
+                    delete entries[key]
+                    dirty = true
+                }
+            })
+        }
+    }
+}
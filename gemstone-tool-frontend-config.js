@@ -0,0 +1,126 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const ducky                = require("ducky")
+const extend               = require("extend")
+const jsYAML               = require("js-yaml")
+
+/*
+ *  The Gemstone configuration (as read by "gemstone-config") is strictly
+ *  validated and hence cannot carry settings specific to the Frontend
+ *  Tool. Those are read from companion configuration chunks instead:
+ *  "gemstone-frontend.yaml", ".gemstone-frontend.yaml",
+ *  "gemstone-frontend.json", ".gemstone-frontend.json" and the
+ *  "gemstone-frontend" field of "package.json".
+ */
+
+module.exports = () => {
+    /*  default Gemstone Frontend configuration  */
+    const cfg = {
+        baseline:     "gemstone-baseline.json",
+        linters:      [],
+        linting:      {},
+        warnings:     [],
+        maxWarnings:  -1,
+        environments: {},
+        editor:       "",
+        hook:         "",
+        budgets: {
+            entry: [],
+            chunk: [],
+            asset: []
+        }
+    }
+
+    /*  validate a Gemstone Frontend configuration chunk  */
+    const validate = (filename, chunk) => {
+        const errors = []
+        if (!ducky.validate(chunk, `{
+            baseline?: string,
+            linters?: [
+                {
+                    ctx:      string,
+                    linter?:  string,
+                    rules?:   string,
+                    include?: [ string* ],
+                    exclude?: [ string* ],
+                    enabled?: boolean
+                }*
+            ],
+            linting?: object,
+            warnings?: [ string* ],
+            maxWarnings?: (number | object),
+            environments?: {
+                @?: {
+                    parent?:  string,
+                    tags?:    [ string* ],
+                    linting?: object,
+                    webpack?: object
+                }
+            },
+            editor?: string,
+            hook?: string,
+            budgets?: {
+                entry?: [
+                    { name: string, warn?: (number | string), error?: (number | string) }*
+                ],
+                chunk?: [
+                    { name: string, warn?: (number | string), error?: (number | string) }*
+                ],
+                asset?: [
+                    { name: string, warn?: (number | string), error?: (number | string) }*
+                ]
+            }
+        }`, errors))
+            throw new Error(`invalid Gemstone Frontend configuration chunk in "${filename}": ${errors.join("; ")}`)
+    }
+
+    /*  load a Gemstone Frontend configuration chunk  */
+    const load = (filename, parse) => {
+        let chunk
+        try {
+            chunk = parse(fs.readFileSync(filename, "utf8"))
+        }
+        catch (ex) {
+            throw new Error(`failed to parse Gemstone Frontend configuration file "${filename}": ${ex.message}`)
+        }
+        return chunk
+    }
+
+    /*  try to load Gemstone Frontend configuration chunks from YAML files  */
+    let filenames = [ "gemstone-frontend.yaml", ".gemstone-frontend.yaml" ]
+    filenames.forEach((filename) => {
+        if (fs.existsSync(filename)) {
+            const chunk = load(filename, (data) => jsYAML.safeLoad(data))
+            validate(filename, chunk)
+            extend(true, cfg, chunk)
+        }
+    })
+
+    /*  try to load Gemstone Frontend configuration chunks from JSON files  */
+    filenames = [ "gemstone-frontend.json", ".gemstone-frontend.json" ]
+    filenames.forEach((filename) => {
+        if (fs.existsSync(filename)) {
+            const chunk = load(filename, (data) => JSON.parse(data))
+            validate(filename, chunk)
+            extend(true, cfg, chunk)
+        }
+    })
+
+    /*  try to load Gemstone Frontend configuration chunks from NPM files  */
+    const filename = "package.json"
+    if (fs.existsSync(filename)) {
+        const chunk = load(filename, (data) => JSON.parse(data))
+        if (typeof chunk["gemstone-frontend"] === "object") {
+            validate(filename, chunk["gemstone-frontend"])
+            extend(true, cfg, chunk["gemstone-frontend"])
+        }
+    }
+
+    return cfg
+}
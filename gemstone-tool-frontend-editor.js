@@ -0,0 +1,106 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const path                 = require("path")
+const spawn                = require("child_process").spawn
+
+/*  the argument templates of well-known editors which open a window of their own  */
+const templates = [
+    { re: /^code(?:-insiders)?$/, args: [ "--goto", "{file}:{line}:{column}" ] },
+    { re: /^(?:subl|sublime_text|atom)$/, args: [ "{file}:{line}:{column}" ] },
+    { re: /^(?:gvim|mvim)$/, args: [ "--remote-silent", "+{line}", "{file}" ] },
+    { re: /^emacsclient$/, args: [ "-n", "+{line}:{column}", "{file}" ] },
+    { re: /^(?:idea|webstorm|phpstorm)$/, args: [ "--line", "{line}", "{file}" ] }
+]
+
+/*  the well-known editors which require a terminal (and hence cannot be opened in the background)  */
+const terminals = /^(?:vi|vim|nvim|view|ex|nano|pico|joe|jed|ne|micro|mcedit|emacs|kak|hx|ed)$/
+
+/*  split a command line into words, following the quoting rules of a POSIX shell
+    (single quotes, double quotes and backslashes), or return null on unterminated quotes  */
+const split = (line) => {
+    const words = []
+    let word  = null
+    let quote = null
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i]
+        if (quote === "'") {
+            if (c === "'")
+                quote = null
+            else
+                word += c
+        }
+        else if (quote === "\"") {
+            if (c === "\"")
+                quote = null
+            else if (c === "\\" && i + 1 < line.length && "\"\\$`".indexOf(line[i + 1]) >= 0)
+                word += line[++i]
+            else
+                word += c
+        }
+        else if (c.match(/\s/)) {
+            if (word !== null)
+                words.push(word)
+            word = null
+        }
+        else {
+            if (word === null)
+                word = ""
+            if (c === "'" || c === "\"")
+                quote = c
+            else if (c === "\\" && i + 1 < line.length)
+                word += line[++i]
+            else
+                word += c
+        }
+    }
+    if (quote !== null)
+        return null
+    if (word !== null)
+        words.push(word)
+    return words
+}
+
+/*  determine the command for opening a file location in an editor
+    (either a configured command line with "{file}", "{line}" and "{column}"
+    placeholders or just an editor command, as usually given in $EDITOR),
+    or null if there is none or the editor requires a terminal  */
+const command = (editor, location) => {
+    const words = split(editor)
+    if (words === null || words.length === 0)
+        return null
+    let args = words.slice(1)
+    const name = path.basename(words[0]).replace(/\.(?:exe|cmd|bat)$/i, "")
+    if (terminals.test(name) || (name === "emacsclient" && args.some((arg) => arg.match(/^(?:-t|-nw|--tty)$/))))
+        return null
+    if (!words.some((word) => word.match(/\{file\}/))) {
+        const template = templates.find((template) => template.re.test(name))
+        args = args.concat(template !== undefined ? template.args : [ "{file}" ])
+    }
+    const expand = (word) => word
+        .replace(/\{file\}/g,   location.filename)
+        .replace(/\{line\}/g,   String(Math.max(location.line, 1)))
+        .replace(/\{column\}/g, String(Math.max(location.column, 1)))
+    return { cmd: words[0], args: args.map(expand) }
+}
+
+/*  determine whether an editor can be opened in the background (i.e., without a terminal)  */
+const usable = (editor) =>
+    command(editor, { filename: "", line: 1, column: 1 }) !== null
+
+/*  open a file location in an editor (in the background, ignoring any failures)  */
+const open = (editor, location) => {
+    const cmd = command(editor, location)
+    if (cmd === null)
+        return false
+    const child = spawn(cmd.cmd, cmd.args, { detached: true, stdio: "ignore" })
+    child.on("error", () => {})
+    child.unref()
+    return true
+}
+
+module.exports = { command, usable, open }
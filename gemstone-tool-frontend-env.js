@@ -0,0 +1,93 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  the built-in environments (the roots of all configured ones)  */
+const builtins = [ "production", "development" ]
+
+/*  the syntax of environment and tag names (as they end up in filenames and the Webpack configuration)  */
+const nameRE = /^[A-Za-z0-9][A-Za-z0-9._-]*$/
+
+/*  determine whether a value is a plain object  */
+const isObject = (value) =>
+    typeof value === "object" && value !== null && !Array.isArray(value)
+
+/*  deeply merge plain objects (where arrays and all other values are replaced, not merged)  */
+const merge = (target, ...sources) => {
+    sources.forEach((source) => {
+        if (!isObject(source))
+            return
+        Object.keys(source).forEach((key) => {
+            if (isObject(source[key]) && isObject(target[key]))
+                target[key] = merge(Object.assign({}, target[key]), source[key])
+            else if (isObject(source[key]))
+                target[key] = merge({}, source[key])
+            else
+                target[key] = source[key]
+        })
+    })
+    return target
+}
+
+/*  resolve an environment (and tag) into its effective settings  */
+const resolve = (environments, name, tag) => {
+    if (!nameRE.test(name))
+        throw new Error(`invalid environment "${name}"`)
+    if (builtins.indexOf(name) < 0 && environments[name] === undefined)
+        throw new Error(`invalid environment "${name}" (expected one of: ` +
+            `${builtins.concat(Object.keys(environments).filter((name) => builtins.indexOf(name) < 0)).join(", ")})`)
+
+    /*  determine the chain of environments, from the given one up to a built-in one  */
+    const chain = []
+    let current = name
+    while (true) {
+        if (chain.indexOf(current) >= 0)
+            throw new Error(`invalid environment "${name}": cyclic parent chain "${chain.concat([ current ]).join(" -> ")}"`)
+        chain.push(current)
+        const environment = environments[current] || {}
+        if (builtins.indexOf(current) >= 0 && environment.parent !== undefined)
+            throw new Error(`invalid environment "${current}": built-in environments cannot have a parent`)
+        if (environment.parent === undefined) {
+            if (builtins.indexOf(current) < 0)
+                throw new Error(`invalid environment "${current}": neither built-in nor derived from another environment`)
+            break
+        }
+        if (builtins.indexOf(environment.parent) < 0 && environments[environment.parent] === undefined)
+            throw new Error(`invalid environment "${current}": unknown parent environment "${environment.parent}"`)
+        current = environment.parent
+    }
+
+    /*  merge the settings, from the built-in environment down to the given one  */
+    const resolved = { name, base: current, chain, tags: null, linting: {}, webpack: {} }
+    chain.slice().reverse().forEach((name) => {
+        const environment = environments[name] || {}
+        if (environment.tags !== undefined)
+            resolved.tags = environment.tags
+        merge(resolved.linting, environment.linting)
+        merge(resolved.webpack, environment.webpack)
+    })
+
+    /*  check the tag against the declared ones (or at least its syntax)  */
+    if (tag !== "") {
+        if (resolved.tags !== null && resolved.tags.indexOf(tag) < 0)
+            throw new Error(`invalid tag "${tag}" for environment "${name}" ` +
+                `(expected one of: ${resolved.tags.length > 0 ? resolved.tags.join(", ") : "none"})`)
+        if (!nameRE.test(tag))
+            throw new Error(`invalid tag "${tag}"`)
+    }
+    resolved.tag = tag
+    return resolved
+}
+
+/*  flatten settings into "<path>=<value>" pairs (for displaying them)  */
+const flatten = (settings, prefix = "") =>
+    Object.keys(settings).reduce((pairs, key) => {
+        const name = prefix !== "" ? `${prefix}.${key}` : key
+        if (isObject(settings[key]) && Object.keys(settings[key]).length > 0)
+            return pairs.concat(flatten(settings[key], name))
+        return pairs.concat([ `${name}=${JSON.stringify(settings[key])}` ])
+    }, [])
+
+module.exports = { builtins, merge, resolve, flatten }
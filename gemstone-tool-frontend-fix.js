@@ -0,0 +1,156 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const path                 = require("path")
+const jsYAML               = require("js-yaml")
+const frontendEnv          = require("./gemstone-tool-frontend-env.js")
+
+/*  load a linting engine or its Gemstone configuration the same way
+    the linter module does (i.e., from the location of the linter module)  */
+const load = (name, linter) => {
+    let filename
+    try {
+        filename = require.resolve(name, { paths: [ path.dirname(linter), __dirname, process.cwd() ] })
+    }
+    catch (ex) {
+        throw new Error(`module "${name}" for fixing not found (install it with "npm install ${name}")`)
+    }
+    return require(filename)
+}
+
+/*  determine the effective rules of an engine (the Gemstone ones, overridden by the configured ones)  */
+const effective = (name, linter, rules) => {
+    const base = load(name, linter)
+    return frontendEnv.merge({}, typeof base === "object" && base !== null ? base : {}, rules)
+}
+
+/*  preserve the trailing newline (or its absence) of a source  */
+const trailer = (source, output) =>
+    output.replace(/\n*$/, "") + (source.match(/\n$/) ? "\n" : "")
+
+/*  remove comments and trailing commas from JSON-like text (outside of strings only)  */
+const strictify = (source) => {
+    let output = ""
+    let i = 0
+    while (i < source.length) {
+        const c = source[i]
+        if (c === "\"") {
+            /*  string literal (kept as-is)  */
+            let j = i + 1
+            while (j < source.length && source[j] !== "\"")
+                j += source[j] === "\\" ? 2 : 1
+            output += source.substring(i, j + 1)
+            i = j + 1
+        }
+        else if (source.startsWith("//", i) || source.startsWith("/*", i)) {
+            /*  line or block comment (together with its line if it stood alone on it)  */
+            const block = source[i + 1] === "*"
+            const j = block ? source.indexOf("*/", i + 2) : source.indexOf("\n", i)
+            i = j < 0 ? source.length : (block ? j + 2 : j)
+            if (output.match(/(?:^|\n)[ \t]*$/) && source.substring(i).match(/^[ \t]*(?:\n|$)/)) {
+                output = output.replace(/[ \t]*$/, "")
+                i = source.substring(i).match(/^[ \t]*\n?/)[0].length + i
+            }
+        }
+        else if (c === "," && source.substring(i + 1).match(/^(?:\s|\/\/[^\n]*|\/\*[\s\S]*?\*\/)*[\]}]/)) {
+            /*  trailing comma  */
+            i++
+        }
+        else {
+            output += c
+            i++
+        }
+    }
+    return output.replace(/[ \t]+$/mg, "")
+}
+
+/*
+ *  Fixers for the source types. Each fixer receives the source of a file
+ *  and its context (the filename, the filename of the linter module and
+ *  the effective rules) and returns either the fixed source or null if
+ *  the source cannot be fixed automatically. The fixers of the linting
+ *  engines apply the same automatic fixes as the engines do on their own.
+ */
+
+module.exports = {
+    /*  JavaScript: apply the automatic fixes of ESLint  */
+    async eslint (source, { filename, linter, rules }) {
+        const CLIEngine = load("eslint", linter).CLIEngine
+        const engine = new CLIEngine({
+            useEslintrc: false,
+            baseConfig:  effective("gemstone-config-eslint", linter, rules),
+            fix:         true
+        })
+        const result = engine.executeOnText(source, filename).results[0]
+        return result !== undefined && typeof result.output === "string" ? result.output : null
+    },
+
+    /*  TypeScript: apply the automatic fixes of TSLint (rule by rule, as fixes of different rules can overlap)  */
+    async tslint (source, { filename, linter, rules }) {
+        const TSLint = load("tslint", linter)
+        const configuration = TSLint.Configuration.parseConfigFile(
+            effective("gemstone-config-tslint", linter, rules), process.cwd())
+        const failures = (text) => {
+            const engine = new TSLint.Linter({ fix: false })
+            engine.lint(filename, text, configuration)
+            return engine.getResult().failures.filter((failure) => failure.hasFix())
+        }
+        let output = source
+        const ruleNames = failures(output)
+            .map((failure) => failure.getRuleName())
+            .filter((name, i, names) => names.indexOf(name) === i)
+        for (const ruleName of ruleNames) {
+            const fixes = failures(output)
+                .filter((failure) => failure.getRuleName() === ruleName)
+                .map((failure) => failure.getFix())
+                .reduce((fixes, fix) => fixes.concat(fix), [])
+            output = TSLint.Replacement.applyFixes(output, fixes)
+        }
+        return output !== source ? output : null
+    },
+
+    /*  CSS: apply the automatic fixes of stylelint  */
+    async stylelint (source, { filename, linter, rules }) {
+        const result = await load("stylelint", linter).lint({
+            code:         source,
+            codeFilename: filename,
+            config:       effective("gemstone-config-stylelint", linter, rules),
+            fix:          true
+        })
+        return typeof result.output === "string" && result.output !== "" ? result.output : null
+    },
+
+    /*  JSON: remove comments and trailing commas (the usual reasons for parse errors),
+        but only if this results in strict JSON, and otherwise preserve the source  */
+    async jsonlint (source) {
+        const output = strictify(source)
+        try {
+            JSON.parse(output)
+        }
+        catch (ex) {
+            return null
+        }
+        return trailer(source, output)
+    },
+
+    /*  YAML: replace tabs in indentations and reformat (if no comments would be lost)  */
+    async jsyaml (source) {
+        if (source.match(/(?:^|\s)#/))
+            return null
+        const text = source.replace(/^[ \t]+/mg, (indent) => indent.replace(/\t/g, "    "))
+        let data
+        try {
+            data = jsYAML.safeLoad(text, { json: true })
+        }
+        catch (ex) {
+            return null
+        }
+        if (data === undefined)
+            return null
+        return trailer(source, jsYAML.safeDump(data, { indent: 4, lineWidth: -1 }))
+    }
+}
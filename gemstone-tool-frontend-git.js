@@ -0,0 +1,70 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const path                 = require("path")
+const execFile             = require("child_process").execFile
+
+/*  execute a Git command in the local repository  */
+const git = (args) => {
+    return new Promise((resolve, reject) => {
+        execFile("git", args, { maxBuffer: 64 * 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) {
+                const reason = err.code === "ENOENT" ?
+                    "Git executable not found" : (stderr.toString().trim() || err.message)
+                reject(new Error(`failed to execute "git ${args.join(" ")}": ${reason}`))
+            }
+            else
+                resolve(stdout.toString())
+        })
+    })
+}
+
+/*  split NUL-separated Git output into filenames  */
+const split = (output) =>
+    output.split("\u0000").filter((filename) => filename !== "")
+
+/*  determine the canonical absolute filename (Git reports paths without symbolic links)  */
+const canonical = (filename) => {
+    filename = path.resolve(filename)
+    try {
+        return fs.realpathSync(filename)
+    }
+    catch (ex) {
+        return filename
+    }
+}
+
+/*  determine the files which changed since a revision or which are staged
+    (as a predicate on filenames, for narrowing the linted files)  */
+const changes = async ({ since = "", staged = false }) => {
+    const toplevel = (await git([ "rev-parse", "--show-toplevel" ])).trim()
+    let filenames
+    if (staged)
+        filenames = split(await git([ "diff", "--cached", "--name-only", "--diff-filter=ACMR", "-z" ]))
+    else {
+        await git([ "rev-parse", "--verify", "--quiet", `${since}^{commit}` ])
+            .catch(() => { throw new Error(`invalid Git revision "${since}"`) })
+        filenames = split(await git([ "diff", "--name-only", "--diff-filter=ACMR", "-z", since, "--" ]))
+            .concat(split(await git([ "ls-files", "--others", "--exclude-standard", "--full-name", "-z", ":/" ])))
+    }
+    const changed = filenames.reduce((map, filename) => {
+        map[path.resolve(toplevel, filename)] = true
+        return map
+    }, {})
+    return (filename) => changed[canonical(filename)] === true
+}
+
+/*  determine the files whose working tree content differs from the Git index
+    (the linters read the working tree, so for such files unstaged edits are linted, too)  */
+const unstaged = async () => {
+    const toplevel = (await git([ "rev-parse", "--show-toplevel" ])).trim()
+    const filenames = split(await git([ "diff", "--name-only", "--diff-filter=AM", "-z" ]))
+    return filenames.map((filename) => path.resolve(toplevel, filename))
+}
+
+module.exports = { changes, unstaged }
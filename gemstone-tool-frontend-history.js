@@ -0,0 +1,84 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+
+/*  the history file (local to the working directory)  */
+const historyFile = ".gemstone.history.json"
+
+/*  the maximum number of builds kept in the history  */
+const historyMax = 200
+
+/*  the number of slowest modules kept per build  */
+const modulesMax = 10
+
+/*  format a duration  */
+const formatTime = (ms) =>
+    ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`
+
+/*  determine the slowest modules from (profiled) Webpack statistics  */
+const slowest = (stats) =>
+    (stats.modules || [])
+        .filter((module) => typeof module.profile === "object" && module.profile !== null)
+        .map((module) => ({
+            name: module.name,
+            time: (module.profile.factory || 0) + (module.profile.building || 0)
+        }))
+        .sort((a, b) => b.time - a.time)
+        .slice(0, modulesMax)
+
+/*  load the history of builds (the oldest first)  */
+const load = async () => {
+    if (!(await fs.exists(historyFile)))
+        return []
+    let data
+    try {
+        data = JSON.parse(await fs.readFile(historyFile, "utf8"))
+    }
+    catch (ex) {
+        /*  silently ignore corrupted histories  */
+        data = {}
+    }
+    return Array.isArray(data.builds) ? data.builds : []
+}
+
+/*  append a build result to the history  */
+const append = async (result) => {
+    const builds = await load()
+    builds.push({
+        time:     new Date().toISOString(),
+        env:      result.env,
+        tag:      result.tag,
+        passed:   result.passed,
+        pass:     result.pass,
+        findings: result.findings.length,
+        errors:   result.errors.length,
+        warnings: result.warnings.length,
+        timings:  result.timings
+    })
+    const data = { version: 1, builds: builds.slice(-historyMax) }
+    await fs.writeFile(historyFile, JSON.stringify(data, null, 4) + "\n", { encoding: "utf8" })
+}
+
+/*  aggregate named durations across builds into average and maximum durations  */
+const aggregate = (builds, durations) => {
+    const stats = {}
+    builds.forEach((build) => {
+        durations(build).forEach(({ name, time }) => {
+            if (stats[name] === undefined)
+                stats[name] = { name, runs: 0, total: 0, max: 0 }
+            stats[name].runs++
+            stats[name].total += time
+            stats[name].max = Math.max(stats[name].max, time)
+        })
+    })
+    return Object.keys(stats)
+        .map((name) => Object.assign(stats[name], { avg: Math.round(stats[name].total / stats[name].runs) }))
+        .sort((a, b) => b.avg - a.avg)
+}
+
+module.exports = { formatTime, slowest, load, append, aggregate }
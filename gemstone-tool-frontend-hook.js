@@ -0,0 +1,56 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const path                 = require("path")
+const spawn                = require("child_process").spawn
+
+/*  the maximum duration of a hook script  */
+const timeout = 30 * 1000
+
+/*  create a hook which receives the build results, either a
+    JavaScript module (exporting a function) or an executable script
+    (receiving the build result as JSON on its standard input)  */
+module.exports = (filename) => {
+    filename = path.resolve(filename)
+    if (!fs.existsSync(filename))
+        throw new Error(`hook "${filename}" not found`)
+
+    /*  execute a JavaScript module  */
+    if (filename.match(/\.js$/)) {
+        const hook = require(filename)
+        if (typeof hook !== "function")
+            throw new Error(`hook module "${filename}" does not export a function`)
+        return async (result) => {
+            await hook(result)
+        }
+    }
+
+    /*  execute a script  */
+    return (result) => {
+        return new Promise((resolve, reject) => {
+            const child = spawn(filename, [], { stdio: [ "pipe", "inherit", "inherit" ] })
+            const timer = setTimeout(() => {
+                child.kill()
+                reject(new Error(`hook script "${filename}" timed out`))
+            }, timeout)
+            child.on("error", (err) => {
+                clearTimeout(timer)
+                reject(new Error(`hook script "${filename}" failed: ${err.message}`))
+            })
+            child.on("close", (code) => {
+                clearTimeout(timer)
+                if (code !== 0)
+                    reject(new Error(`hook script "${filename}" failed with exit code ${code}`))
+                else
+                    resolve()
+            })
+            child.stdin.on("error", () => {})
+            child.stdin.end(JSON.stringify(result) + "\n")
+        })
+    }
+}
@@ -0,0 +1,81 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const path                 = require("path")
+const glob                 = require("glob-promise")
+
+/*  the built-in linters  */
+const builtins = [
+    { ctx: "JS",   linter: "gemstone-linter-js",   rules: "eslint",    include: [ "**/*.js"   ], exclude: [] },
+    { ctx: "TS",   linter: "gemstone-linter-ts",   rules: "tslint",    include: [ "**/*.ts"   ], exclude: [] },
+    { ctx: "HTML", linter: "gemstone-linter-html", rules: "htmlhint",  include: [ "**/*.html" ], exclude: [] },
+    { ctx: "CSS",  linter: "gemstone-linter-css",  rules: "stylelint", include: [ "**/*.css"  ], exclude: [] },
+    { ctx: "YAML", linter: "gemstone-linter-yaml", rules: "jsyaml",    include: [ "**/*.yaml" ], exclude: [] },
+    { ctx: "JSON", linter: "gemstone-linter-json", rules: "jsonlint",  include: [ "**/*.json" ], exclude: [] }
+]
+
+/*  load a linter module, preferring our own dependencies over the ones of the application  */
+const load = (name) => {
+    let filename
+    try {
+        filename = require.resolve(name, { paths: [ __dirname, process.cwd() ] })
+    }
+    catch (ex) {
+        throw new Error(`linter module "${name}" not found (install it with "npm install ${name}")`)
+    }
+    const linter = require(filename)
+    if (typeof linter !== "function")
+        throw new Error(`linter module "${name}" does not export a linter function`)
+    return { filename, linter }
+}
+
+/*  determine the linters from the built-in ones and the configured ones  */
+const resolve = (configured = []) => {
+    const entries = builtins.map((entry) => Object.assign({}, entry))
+    configured.forEach((config) => {
+        const idx = entries.findIndex((entry) => entry.ctx === config.ctx)
+        if (idx >= 0)
+            entries[idx] = Object.assign({}, entries[idx], config)
+        else {
+            if (typeof config.linter !== "string")
+                throw new Error(`linter "${config.ctx}": missing linter module name`)
+            if (!Array.isArray(config.include) || config.include.length === 0)
+                throw new Error(`linter "${config.ctx}": missing include glob patterns`)
+            entries.push(Object.assign({ rules: config.ctx.toLowerCase(), exclude: [] }, config))
+        }
+    })
+    return entries
+        .filter((entry) => entry.enabled !== false)
+        .map((entry) => {
+            const { filename, linter } = load(entry.linter)
+            return {
+                ctx:     entry.ctx,
+                name:    entry.linter,
+                module:  filename,
+                linter,
+                rules:   entry.rules,
+                include: entry.include,
+                exclude: entry.exclude || []
+            }
+        })
+}
+
+/*  determine the source files of a linter  */
+const files = async (entry, basedir) => {
+    const ignore = entry.exclude.map((pattern) => path.join(basedir, pattern))
+    const filenames = []
+    for (const pattern of entry.include) {
+        const matches = await glob(path.join(basedir, pattern), { ignore, nodir: true })
+        matches.forEach((filename) => {
+            if (filenames.indexOf(filename) < 0)
+                filenames.push(filename)
+        })
+    }
+    return filenames.sort()
+}
+
+module.exports = { builtins, resolve, files }
@@ -0,0 +1,102 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const path                 = require("path")
+const fork                 = require("child_process").fork
+
+/*  the entry point of the child processes  */
+const workerFile = path.join(__dirname, "gemstone-tool-frontend-worker.js")
+
+/*  create a pool of child processes for linting in parallel  */
+module.exports = (size) => {
+    /*  internal state  */
+    const workers = []     /*  the child processes                   */
+    const queue   = []     /*  the tasks waiting for a child process  */
+    const pending = {}     /*  the tasks currently being executed     */
+    let   nextId  = 1      /*  the next task id                       */
+
+    /*  fail the task of a worker  */
+    const fail = (worker, error) => {
+        if (worker.task === null)
+            return
+        const job = pending[worker.task]
+        delete pending[worker.task]
+        worker.task = null
+        job.reject(error)
+    }
+
+    /*  spawn a new child process  */
+    const spawn = () => {
+        const worker = { child: fork(workerFile, [], { stdio: "inherit" }), task: null }
+        worker.child.on("message", (msg) => {
+            const job = pending[msg.id]
+            if (job === undefined)
+                return
+            if (msg.type === "progress")
+                job.progress(msg.fraction, msg.msg)
+            else {
+                delete pending[msg.id]
+                worker.task = null
+                if (msg.type === "done")
+                    job.resolve({ passed: msg.passed, report: msg.report })
+                else {
+                    const error = new Error(msg.message)
+                    error.stack = msg.stack
+                    job.reject(error)
+                }
+                dispatch()
+            }
+        })
+        worker.child.on("exit", (code) => {
+            workers.splice(workers.indexOf(worker), 1)
+            fail(worker, new Error(`linting worker terminated unexpectedly (exit code ${code})`))
+            dispatch()
+        })
+        workers.push(worker)
+        return worker
+    }
+
+    /*  dispatch waiting tasks to idle (or new) child processes  */
+    const dispatch = () => {
+        while (queue.length > 0) {
+            let worker = workers.find((worker) => worker.task === null)
+            if (worker === undefined) {
+                if (workers.length >= size)
+                    break
+                worker = spawn()
+            }
+            const job = queue.shift()
+            worker.task = job.id
+            pending[job.id] = job
+            worker.child.send({ id: job.id, module: job.module, filenames: job.filenames, options: job.options })
+        }
+    }
+
+    return {
+        /*  the number of child processes  */
+        size,
+
+        /*  execute a linter module on files in a child process  */
+        run (module, filenames, options, progress = () => {}) {
+            return new Promise((resolve, reject) => {
+                queue.push({ id: nextId++, module, filenames, options, progress, resolve, reject })
+                dispatch()
+            })
+        },
+
+        /*  terminate all child processes  */
+        close () {
+            workers.forEach((worker) => {
+                worker.child.removeAllListeners("exit")
+                fail(worker, new Error("linting worker pool closed"))
+                if (worker.child.connected)
+                    worker.child.disconnect()
+            })
+            workers.splice(0, workers.length)
+        }
+    }
+}
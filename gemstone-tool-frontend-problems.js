@@ -0,0 +1,124 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const path                 = require("path")
+
+/*  the ANSI escape sequences for colors and styles  */
+const ansiRE = new RegExp(String.fromCharCode(27) + "\\[[0-9;]*m", "g")
+
+/*  strip ANSI escape sequences from a string  */
+const stripAnsi = (str) =>
+    String(str).replace(ansiRE, "")
+
+/*  the module header line of a Webpack problem ("<module> [(<loaders>)] [<line>:<column>[-...]]")  */
+const headerRE = /^((?:\.{1,2}\/|\/|[A-Za-z]:[\\/])\S*)(?: \([^)]*\))?(?: (\d+):(\d+)(?:-\d+(?::\d+)?)?)?$/
+
+/*  the location patterns of the various loaders (with the base of their column numbers)  */
+const locations = [
+    /*  Babel: "SyntaxError: <file>: <message> (<line>:<column>)"  */
+    { re: /^\w*Error: (\S+?): (.+?) \((\d+):(\d+)\)$/m, base: 0,
+        map: (m) => ({ filename: m[1], message: m[2], line: m[3], column: m[4] }) },
+
+    /*  TypeScript: "[tsl] ERROR in <file>(<line>,<column>)\n <message>"  */
+    { re: /\bin (\S+?)\((\d+),(\d+)\)\s*\n\s*(.+)$/m, base: 1,
+        map: (m) => ({ filename: m[1], message: m[4], line: m[2], column: m[3] }) },
+
+    /*  Sass: "<message>\n in <file> (line <line>, column <column>)"  */
+    { re: /\bin (\S+) \(line (\d+), column (\d+)\)/, base: 1,
+        map: (m) => ({ filename: m[1], message: null, line: m[2], column: m[3] }) },
+
+    /*  PostCSS: "(<line>:<column>) <message>"  */
+    { re: /^\((\d+):(\d+)\) (.+)$/m, base: 1,
+        map: (m) => ({ filename: null, message: m[3], line: m[1], column: m[2] }) },
+
+    /*  generic: "<file>:<line>:<column>"  */
+    { re: /((?:\/|\.{1,2}\/|[A-Za-z]:[\\/])[^\s:()]+\.\w+):(\d+):(\d+)/, base: 1,
+        map: (m) => ({ filename: m[1], message: null, line: m[2], column: m[3] }) }
+]
+
+/*  parse a single Webpack error or warning message  */
+const parseOne = (severity, raw) => {
+    const text  = stripAnsi(raw).replace(/\r/g, "").trim()
+    const lines = text.split("\n")
+    const problem = { severity, filename: null, line: 0, column: 0, message: "", origin: "webpack", text }
+
+    /*  determine the module and its location from the header line  */
+    let body = lines
+    const header = lines[0].match(headerRE)
+    if (header !== null) {
+        problem.filename = header[1].replace(/^.*!/, "")
+        if (header[2] !== undefined) {
+            problem.line   = parseInt(header[2], 10)
+            problem.column = parseInt(header[3], 10) + 1
+        }
+        body = lines.slice(1)
+    }
+
+    /*  determine the loader which failed  */
+    const loader = text.match(/^Module (?:build|parse) failed \(from (.+?)\):?$/m)
+    if (loader !== null) {
+        const m = loader[1].replace(/\\/g, "/").match(/node_modules\/((?:@[^/]+\/)?[^/]+)/)
+        problem.origin = m !== null ? m[1] : path.basename(loader[1])
+    }
+
+    /*  determine a more precise location from the loader message  */
+    for (const location of locations) {
+        const m = text.match(location.re)
+        if (m === null)
+            continue
+        const info = location.map(m)
+        if (info.filename !== null)
+            problem.filename = info.filename
+        if (info.message !== null)
+            problem.message = info.message
+        problem.line   = parseInt(info.line, 10)
+        problem.column = parseInt(info.column, 10) + (1 - location.base)
+        break
+    }
+
+    /*  determine the message from the first meaningful line  */
+    if (problem.message === "") {
+        const line = body
+            .map((line) => line.trim())
+            .find((line) => line !== "" && !line.match(/^Module (?:build|parse) failed\b/) && !line.match(/^@ /))
+        problem.message = line !== undefined ? line : lines[0]
+    }
+    problem.message = problem.message.replace(/^(?:ModuleBuildError: |Error: )+/, "")
+
+    /*  resolve the filename  */
+    if (problem.filename !== null)
+        problem.filename = path.resolve(problem.filename)
+    return problem
+}
+
+/*  parse Webpack errors and warnings into de-duplicated structured problems  */
+const parse = (severity, messages) => {
+    const seen = {}
+    return (messages || [])
+        .map((message) => typeof message === "string" ? parseOne(severity, message) : message)
+        .filter((problem) => {
+            const key = [ problem.severity, problem.filename, problem.line, problem.column, problem.message ].join("\u0000")
+            if (seen[key])
+                return false
+            seen[key] = true
+            return true
+        })
+}
+
+/*  format a problem on a single line  */
+const format = (problem) => {
+    let location = ""
+    if (problem.filename !== null) {
+        location = path.relative(process.cwd(), problem.filename).replace(/\\/g, "/")
+        if (problem.line > 0)
+            location += `:${problem.line}:${problem.column}`
+        location += ": "
+    }
+    return `${location}${problem.message} [${problem.origin}]`
+}
+
+module.exports = { stripAnsi, parse, format }
@@ -0,0 +1,260 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const path                 = require("path")
+const pkg                  = require("./package.json")
+const bundleProblems       = require("./gemstone-tool-frontend-problems.js")
+
+/*  escape a string for use in XML text and attribute values  */
+const xmlEscape = (str) =>
+    String(str)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;")
+        .replace(/[^\t\n\r\u0020-\uFFFF]/g, "")
+
+/*  normalize a filename for use in reports  */
+const relname = (filename) =>
+    path.relative(process.cwd(), path.resolve(filename)).replace(/\\/g, "/")
+
+/*  convert a Webpack problem for use in reports  */
+const reportProblem = (problem) => ({
+    filename: problem.filename !== null ? relname(problem.filename) : null,
+    line:     problem.line,
+    column:   problem.column,
+    origin:   problem.origin,
+    message:  bundleProblems.stripAnsi(problem.message)
+})
+
+/*  the report generators  */
+const formats = {
+    /*  JSON: the complete build result  */
+    json (result) {
+        return JSON.stringify({
+            tool:     pkg.name,
+            version:  pkg.version,
+            env:      result.env,
+            tag:      result.tag,
+            passed:   result.passed,
+            pass:     result.pass,
+            linting:  {
+                sources: Object.keys(result.filenames).map((ctx) => ({
+                    ctx,
+                    files:    result.filenames[ctx].length,
+                    findings: result.findings.filter((finding) => finding.ctx === ctx).length
+                })),
+                findings: result.findings.map((finding) => ({
+                    ctx:      finding.ctx,
+                    severity: finding.severity,
+                    filename: relname(finding.filename),
+                    line:     finding.line,
+                    column:   finding.column,
+                    ruleProc: finding.ruleProc,
+                    ruleId:   finding.ruleId,
+                    message:  finding.message
+                })),
+                baseline: result.baseline
+            },
+            bundling: result.bundle === null ? null : {
+                errors:      result.errors.map(reportProblem),
+                warnings:    result.warnings.map(reportProblem),
+                entrypoints: result.bundle.entrypoints,
+                chunks:      result.bundle.chunks,
+                assets:      result.bundle.assets,
+                budgets:     result.budgets
+            }
+        }, null, 4) + "\n"
+    },
+
+    /*  JUnit XML: one test suite per source type plus one for the bundling  */
+    junit (result) {
+        let xml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n"
+        const suites = []
+        Object.keys(result.filenames).forEach((ctx) => {
+            const cases = result.filenames[ctx].map((filename) => {
+                const findings = result.findings
+                    .filter((finding) => finding.ctx === ctx && finding.filename === filename)
+                const name = relname(filename)
+                let xml = `        <testcase classname="${xmlEscape(ctx)}" name="${xmlEscape(name)}"`
+                if (findings.length === 0)
+                    return xml + "/>\n"
+                xml += ">\n"
+                findings.forEach((finding) => {
+                    const location = `${name}:${finding.line}:${finding.column}`
+                    xml += `            <failure type="${xmlEscape(`${finding.ruleProc}: ${finding.ruleId}`)}" ` +
+                        `message="${xmlEscape(finding.message)}">${xmlEscape(`${location}: ${finding.message}`)}</failure>\n`
+                })
+                return xml + "        </testcase>\n"
+            })
+            const failures = result.findings.filter((finding) => finding.ctx === ctx).length
+            suites.push({ name: `linting.${ctx}`, tests: cases.length, failures, cases })
+        })
+        if (result.bundle !== null) {
+            const problems = result.errors.concat(result.warnings)
+            let xml = "        <testcase classname=\"Webpack\" name=\"bundle\""
+            if (problems.length === 0)
+                xml += "/>\n"
+            else {
+                xml += ">\n"
+                problems.forEach((problem) => {
+                    xml += `            <failure type="${problem.severity}" ` +
+                        `message="${xmlEscape(bundleProblems.stripAnsi(bundleProblems.format(problem)))}">` +
+                        `${xmlEscape(bundleProblems.stripAnsi(problem.text))}</failure>\n`
+                })
+                xml += "        </testcase>\n"
+            }
+            suites.push({ name: "bundling", tests: 1, failures: problems.length > 0 ? 1 : 0, cases: [ xml ] })
+        }
+        const tests    = suites.reduce((sum, suite) => sum + suite.tests, 0)
+        const failures = suites.reduce((sum, suite) => sum + suite.failures, 0)
+        xml += `<testsuites name="${xmlEscape(pkg.name)}" tests="${tests}" failures="${failures}">\n`
+        suites.forEach((suite) => {
+            xml += `    <testsuite name="${xmlEscape(suite.name)}" tests="${suite.tests}" ` +
+                `failures="${suite.failures}" errors="0">\n`
+            xml += suite.cases.join("")
+            xml += "    </testsuite>\n"
+        })
+        xml += "</testsuites>\n"
+        return xml
+    },
+
+    /*  Checkstyle XML: one file entry per linted file  */
+    checkstyle (result) {
+        let xml = "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n"
+        xml += "<checkstyle version=\"4.3\">\n"
+        Object.keys(result.filenames).forEach((ctx) => {
+            result.filenames[ctx].forEach((filename) => {
+                const findings = result.findings
+                    .filter((finding) => finding.ctx === ctx && finding.filename === filename)
+                xml += `    <file name="${xmlEscape(relname(filename))}">\n`
+                findings.forEach((finding) => {
+                    xml += `        <error line="${finding.line}" column="${finding.column}" severity="${finding.severity}" ` +
+                        `message="${xmlEscape(finding.message)}" ` +
+                        `source="${xmlEscape(`${finding.ruleProc}.${finding.ruleId}`)}"/>\n`
+                })
+                xml += "    </file>\n"
+            })
+        })
+        if (result.bundle !== null) {
+            const problems = result.errors.concat(result.warnings)
+                .filter((problem) => problem.filename !== null)
+            problems
+                .map((problem) => problem.filename)
+                .filter((filename, i, filenames) => filenames.indexOf(filename) === i)
+                .forEach((filename) => {
+                    xml += `    <file name="${xmlEscape(relname(filename))}">\n`
+                    problems.filter((problem) => problem.filename === filename).forEach((problem) => {
+                        xml += `        <error line="${problem.line}" column="${problem.column}" ` +
+                            `severity="${problem.severity}" message="${xmlEscape(bundleProblems.stripAnsi(problem.message))}" ` +
+                            `source="${xmlEscape(`webpack.${problem.origin}`)}"/>\n`
+                    })
+                    xml += "    </file>\n"
+                })
+        }
+        xml += "</checkstyle>\n"
+        return xml
+    },
+
+    /*  SARIF 2.1.0: one run per linter plus one for the bundler  */
+    sarif (result) {
+        const runs = []
+        const procs = result.findings
+            .map((finding) => finding.ruleProc)
+            .filter((proc, i, procs) => procs.indexOf(proc) === i)
+        procs.forEach((proc) => {
+            const findings = result.findings.filter((finding) => finding.ruleProc === proc)
+            const rules = findings
+                .map((finding) => finding.ruleId)
+                .filter((ruleId, i, ruleIds) => ruleIds.indexOf(ruleId) === i)
+            runs.push({
+                tool: { driver: { name: proc, rules: rules.map((id) => ({ id })) } },
+                results: findings.map((finding) => ({
+                    ruleId:    finding.ruleId,
+                    ruleIndex: rules.indexOf(finding.ruleId),
+                    level:     finding.severity,
+                    message:   { text: finding.message },
+                    locations: [ {
+                        physicalLocation: {
+                            artifactLocation: { uri: relname(finding.filename) },
+                            region: {
+                                startLine:   Math.max(finding.line, 1),
+                                startColumn: Math.max(finding.column, 1)
+                            }
+                        }
+                    } ]
+                }))
+            })
+        })
+        if (result.bundle !== null) {
+            runs.push({
+                tool: { driver: { name: "webpack" } },
+                results: result.errors.concat(result.warnings).map((problem) => {
+                    const entry = {
+                        level:   problem.severity,
+                        message: { text: bundleProblems.stripAnsi(problem.message) }
+                    }
+                    if (problem.filename !== null) {
+                        const region = problem.line > 0 ? {
+                            startLine:   problem.line,
+                            startColumn: Math.max(problem.column, 1)
+                        } : undefined
+                        entry.locations = [ {
+                            physicalLocation: {
+                                artifactLocation: { uri: relname(problem.filename) },
+                                region
+                            }
+                        } ]
+                    }
+                    return entry
+                })
+            })
+        }
+        return JSON.stringify({
+            $schema: "https://json.schemastore.org/sarif-2.1.0.json",
+            version: "2.1.0",
+            runs
+        }, null, 2) + "\n"
+    }
+}
+
+/*  parse report specifications of the form "<format>:<file>"  */
+const parse = (specs) => {
+    if (typeof specs === "string")
+        specs = specs !== "" ? [ specs ] : []
+    else if (!Array.isArray(specs))
+        specs = []
+    return specs.map((spec) => {
+        const m = String(spec).match(/^([a-z]+):(.+)$/)
+        if (m === null)
+            throw new Error(`invalid report specification "${spec}" (expected "<format>:<file>")`)
+        if (formats[m[1]] === undefined)
+            throw new Error(`invalid report format "${m[1]}" (expected one of: ${Object.keys(formats).join(", ")})`)
+        return { format: m[1], filename: m[2] }
+    })
+}
+
+/*  create a directory and all its missing parent directories  */
+const mkdirp = async (dirname) => {
+    if (await fs.exists(dirname))
+        return
+    await mkdirp(path.dirname(dirname))
+    await fs.mkdir(dirname)
+}
+
+/*  write all reports for a build result  */
+const write = async (reports, result) => {
+    for (const report of reports) {
+        const data = formats[report.format](result)
+        await mkdirp(path.dirname(path.resolve(report.filename)))
+        await fs.writeFile(report.filename, data, { encoding: "utf8" })
+    }
+}
+
+module.exports = { parse, write }
@@ -0,0 +1,224 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*  external requirements  */
+const fs                   = require("mz/fs")
+const path                 = require("path")
+const http                 = require("http")
+
+/*  the URL prefix of the internal resources  */
+const prefix = "/__gemstone"
+
+/*  the MIME types of the served files  */
+const mimeTypes = {
+    ".html":  "text/html; charset=utf-8",
+    ".js":    "application/javascript; charset=utf-8",
+    ".mjs":   "application/javascript; charset=utf-8",
+    ".css":   "text/css; charset=utf-8",
+    ".json":  "application/json; charset=utf-8",
+    ".map":   "application/json; charset=utf-8",
+    ".txt":   "text/plain; charset=utf-8",
+    ".svg":   "image/svg+xml",
+    ".png":   "image/png",
+    ".jpg":   "image/jpeg",
+    ".jpeg":  "image/jpeg",
+    ".gif":   "image/gif",
+    ".ico":   "image/x-icon",
+    ".webp":  "image/webp",
+    ".woff":  "font/woff",
+    ".woff2": "font/woff2",
+    ".ttf":   "font/ttf",
+    ".eot":   "application/vnd.ms-fontobject",
+    ".mp3":   "audio/mpeg",
+    ".mp4":   "video/mp4"
+}
+
+/*  the client-side script for live reloading and the error overlay  */
+const client = `(function () {
+    if (typeof EventSource === "undefined")
+        return;
+    var overlay = null;
+    var hide = function () {
+        if (overlay !== null) {
+            overlay.parentNode.removeChild(overlay);
+            overlay = null;
+        }
+    };
+    var show = function (data) {
+        hide();
+        overlay = document.createElement("div");
+        overlay.setAttribute("style",
+            "position: fixed; top: 0; left: 0; right: 0; bottom: 0; z-index: 2147483647; " +
+            "overflow: auto; padding: 20px 30px; background-color: rgba(32, 0, 0, 0.92); " +
+            "color: #f0f0f0; font-family: Menlo, Consolas, monospace; font-size: 13px;");
+        var title = document.createElement("div");
+        title.setAttribute("style", "color: #ff6060; font-weight: bold; font-size: 16px; margin-bottom: 20px;");
+        title.textContent = "Gemstone Build: ERROR (" + data.pass + ")";
+        overlay.appendChild(title);
+        data.messages.forEach(function (message) {
+            var pre = document.createElement("pre");
+            pre.setAttribute("style", "white-space: pre-wrap; margin: 0 0 16px 0; " +
+                "padding-bottom: 16px; border-bottom: 1px solid #603030;");
+            pre.textContent = message;
+            overlay.appendChild(pre);
+        });
+        document.body.appendChild(overlay);
+    };
+    var source = new EventSource("${prefix}/events");
+    source.addEventListener("reload", function () {
+        window.location.reload();
+    });
+    source.addEventListener("failure", function (ev) {
+        show(JSON.parse(ev.data));
+    });
+})();
+`
+
+/*  the snippet to inject into served HTML documents  */
+const snippet = `<script src="${prefix}/client.js"></script>`
+
+/*  create a development HTTP server with live reloading  */
+module.exports = (options = {}) => {
+    const root = path.resolve(options.root)
+    const host = options.host || "127.0.0.1"
+    const port = options.port || 8080
+
+    /*  internal state  */
+    let clients = []       /*  the currently connected event stream clients  */
+    let failure = null     /*  the failure of the last build (if any)        */
+    let server  = null     /*  the underlying HTTP server                    */
+    let timer   = null     /*  the timer for the keep-alive heartbeat        */
+
+    /*  send an event to a single client  */
+    const send = (res, event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+
+    /*  send an event to all clients  */
+    const broadcast = (event, data) => {
+        clients.forEach((res) => send(res, event, data))
+    }
+
+    /*  respond with an error  */
+    const fail = (res, code, message) => {
+        res.writeHead(code, { "Content-Type": "text/plain; charset=utf-8" })
+        res.end(`${code} ${message}\n`)
+    }
+
+    /*  serve the event stream  */
+    const serveEvents = (req, res) => {
+        res.writeHead(200, {
+            "Content-Type":  "text/event-stream",
+            "Cache-Control": "no-cache",
+            Connection:      "keep-alive"
+        })
+        res.write("retry: 1000\n\n")
+        clients.push(res)
+        if (failure !== null)
+            send(res, "failure", failure)
+        req.on("close", () => {
+            clients = clients.filter((client) => client !== res)
+        })
+    }
+
+    /*  serve a file from the output directory  */
+    const serveFile = async (req, res) => {
+        let pathname
+        try {
+            pathname = decodeURIComponent(req.url.replace(/[?#].*$/, ""))
+        }
+        catch (ex) {
+            return fail(res, 400, "Bad Request")
+        }
+        let filename = path.join(root, pathname)
+        if (filename !== root && filename.indexOf(root + path.sep) !== 0)
+            return fail(res, 403, "Forbidden")
+        let stat = await fs.stat(filename).catch(() => null)
+        if (stat !== null && stat.isDirectory()) {
+            filename = path.join(filename, "index.html")
+            stat = await fs.stat(filename).catch(() => null)
+        }
+        if (stat === null || !stat.isFile())
+            return fail(res, 404, "Not Found")
+        const ext  = path.extname(filename).toLowerCase()
+        const type = mimeTypes[ext] || "application/octet-stream"
+        let data = await fs.readFile(filename)
+        if (ext === ".html") {
+            data = data.toString("utf8")
+            if (data.match(/<\/body>/i))
+                data = data.replace(/(<\/body>)/i, `${snippet}$1`)
+            else
+                data += snippet
+            data = Buffer.from(data, "utf8")
+        }
+        res.writeHead(200, {
+            "Content-Type":   type,
+            "Content-Length": data.length,
+            "Cache-Control":  "no-cache"
+        })
+        res.end(req.method === "HEAD" ? undefined : data)
+    }
+
+    /*  dispatch a request  */
+    const dispatch = (req, res) => {
+        if (req.method !== "GET" && req.method !== "HEAD")
+            return fail(res, 405, "Method Not Allowed")
+        if (req.url === `${prefix}/events`)
+            return serveEvents(req, res)
+        if (req.url === `${prefix}/client.js`) {
+            res.writeHead(200, { "Content-Type": mimeTypes[".js"], "Cache-Control": "no-cache" })
+            return res.end(client)
+        }
+        serveFile(req, res).catch((ex) => fail(res, 500, ex.message))
+    }
+
+    return {
+        /*  the URL the server is reachable under  */
+        url: `http://${host}:${port}/`,
+
+        /*  start serving  */
+        start () {
+            return new Promise((resolve, reject) => {
+                server = http.createServer(dispatch)
+                server.on("error", reject)
+                server.listen(port, host, () => {
+                    server.removeListener("error", reject)
+                    timer = setInterval(() => {
+                        clients.forEach((res) => res.write(": heartbeat\n\n"))
+                    }, 30 * 1000)
+                    resolve()
+                })
+            })
+        },
+
+        /*  notify clients about a successful build  */
+        reload () {
+            failure = null
+            broadcast("reload", {})
+        },
+
+        /*  notify clients about a failed build  */
+        error (pass, messages) {
+            failure = { pass, messages }
+            broadcast("failure", failure)
+        },
+
+        /*  stop serving  */
+        stop () {
+            return new Promise((resolve) => {
+                if (timer !== null)
+                    clearInterval(timer)
+                timer = null
+                clients.forEach((res) => res.end())
+                clients = []
+                if (server === null)
+                    return resolve()
+                server.close(() => resolve())
+                server = null
+            })
+        }
+    }
+}
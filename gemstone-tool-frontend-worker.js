@@ -0,0 +1,39 @@
+/*
+**  GemstoneJS -- Gemstone JavaScript Technology Stack
+**  Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>
+**  Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>
+*/
+
+/*
+ *  This is the entry point of the child processes of the linting worker
+ *  pool. Each child process executes linting tasks one after another
+ *  and sends its progress and results back to the parent process.
+ */
+
+/*  cache of already loaded linter modules  */
+const linters = {}
+
+/*  execute a linting task  */
+process.on("message", async (task) => {
+    try {
+        if (linters[task.module] === undefined)
+            linters[task.module] = require(task.module)
+        const linter = linters[task.module]
+        const report = { sources: {}, findings: [] }
+        const options = Object.assign({}, task.options, {
+            progress: (fraction, msg) => {
+                process.send({ type: "progress", id: task.id, fraction, msg })
+            }
+        })
+        const passed = await linter(task.filenames, options, report)
+        process.send({ type: "done", id: task.id, passed: Boolean(passed), report })
+    }
+    catch (ex) {
+        process.send({ type: "error", id: task.id, message: ex.message, stack: ex.stack })
+    }
+})
+
+/*  terminate once the parent process disconnects  */
+process.on("disconnect", () => {
+    process.exit(0)
+})
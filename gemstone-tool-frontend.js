@@ -7,23 +7,35 @@
 /*  external requirements  */
 const fs                   = require("mz/fs")
 const path                 = require("path")
+const os                   = require("os")
 const gemstoneConfig       = require("gemstone-config")
 const spawn                = require("child_process").spawn
-const glob                 = require("glob-promise")
 const chalk                = require("chalk")
 const table                = require("table")
 const { codeFrameColumns } = require("@babel/code-frame")
 const pkg                  = require("./package.json")
-const gemstoneLinterJS     = require("gemstone-linter-js")
-const gemstoneLinterTS     = require("gemstone-linter-ts")
-const gemstoneLinterHTML   = require("gemstone-linter-html")
-const gemstoneLinterCSS    = require("gemstone-linter-css")
-const gemstoneLinterYAML   = require("gemstone-linter-yaml")
-const gemstoneLinterJSON   = require("gemstone-linter-json")
 const Progress             = require("progress")
 const Chokidar             = require("chokidar")
 const beep                 = require("beepbeep")
 const notifier             = require("node-notifier")
+const webpack              = require("webpack")
+const minimatch            = require("minimatch")
+const devServer            = require("./gemstone-tool-frontend-server.js")
+const buildReport          = require("./gemstone-tool-frontend-report.js")
+const lintCache            = require("./gemstone-tool-frontend-cache.js")
+const frontendConfig       = require("./gemstone-tool-frontend-config.js")
+const sizeBudget           = require("./gemstone-tool-frontend-budget.js")
+const lintFixers           = require("./gemstone-tool-frontend-fix.js")
+const lintBaseline         = require("./gemstone-tool-frontend-baseline.js")
+const lintRegistry         = require("./gemstone-tool-frontend-linters.js")
+const lintPool             = require("./gemstone-tool-frontend-pool.js")
+const bundleAnalyzer       = require("./gemstone-tool-frontend-analyze.js")
+const bundleProblems       = require("./gemstone-tool-frontend-problems.js")
+const gitChanges           = require("./gemstone-tool-frontend-git.js")
+const frontendEnv          = require("./gemstone-tool-frontend-env.js")
+const buildHistory         = require("./gemstone-tool-frontend-history.js")
+const sourceEditor         = require("./gemstone-tool-frontend-editor.js")
+const buildHook            = require("./gemstone-tool-frontend-hook.js")
 
 /*  generate a table  */
 const mktable = (data, config = {}) => {
@@ -38,447 +50,1631 @@ const mktable = (data, config = {}) => {
         .replace(/\n(.)/g, "\n   $1")
 }
 
-/*  export the Gemstone Tool plugin API  */
-module.exports = function () {
-    this.register({
-        name: "frontend-build",
-        desc: "Build Gemstone Frontend Application",
-        opts: [
-            {   name: "cwd", type: "string", def: ".",
-                desc: "Change working directory to given path" },
-            {   name: "debug", type: "boolean", def: false,
-                desc: "Enable debugging mode" },
-            {   name: "verbose", type: "boolean", def: false,
-                desc: "Enable verbose output mode" },
-            {   name: "watch", type: "boolean", def: false,
-                desc: "Enable filesystem watching mode" },
-            {   name: "beep", type: "boolean", def: false,
-                desc: "Beep terminal after build" },
-            {   name: "notify", type: "boolean", def: false,
-                desc: "Notify after error build" },
-            {   name: "server", type: "boolean", def: false,
-                desc: "Enable HTTP server mode" },
-            {   name: "env", type: "string", def: "development",
-                desc: "Build for target environment (\"production\" or \"development\")" },
-            {   name: "tag", type: "string", def: "",
-                desc: "Build for tagged environment (\"\")" }
-        ],
-        args: [
-        ],
-        func: async function (opts /*, ...args */) {
-            /*  sanity check options  */
-            if (!opts.env.match(/^(?:production|development)$/))
-                throw new Error(`invalid environment "${opts.env}"`)
-
-            /*  display header  */
-            const header = `${chalk.bold("** Gemstone Frontend Build Tool " + pkg.version)}\n` +
-                "** Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>\n" +
-                "** Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>\n" +
-                "\n"
-            process.stderr.write(header)
-
-            /*  change working directory  */
-            if (opts.cwd !== ".")
-                process.chdir(opts.cwd)
-
-            /*  locate Node executable  */
-            const nodeExe = process.execPath
-
-            /*  locate Webpack CLI  */
-            const webpackCli = require.resolve("webpack-cli/bin/cli.js")
-
-            /*  locate Webpack configuration generator  */
-            const gwcFile = require.resolve("gemstone-config-webpack")
-
-            /*  determine Gemstone configuration  */
-            const cfg = gemstoneConfig()
-
-            /*
-             *  PASS 1: Linting
-             */
-
-            const Pass1 = async () => {
-                process.stderr.write(chalk.bold("++ PASS 1: LINTING\n"))
-                process.stderr.write(`-- using configuration for ${chalk.bold.green(opts.env)} environment\n`)
-                process.stderr.write("-- executing linters with Gemstone configuration\n")
-
-                /*  lint source files  */
-                let progressCur = 0.0
-                const progressBar = new Progress(`   linting: [${chalk.green(":bar")}] ${chalk.bold(":percent")} (elapsed: :elapseds) :msg `, {
-                    complete:   "#",
-                    incomplete: "=",
-                    width:      20,
-                    total:      6.0,
-                    stream:     process.stderr
+/*  generate the header  */
+const mkheader = () =>
+    `${chalk.bold("** Gemstone Frontend Build Tool " + pkg.version)}\n` +
+    "** Copyright (c) 2016-2019 Gemstone Project <http://gemstonejs.com>\n" +
+    "** Licensed under Apache License 2.0 <https://spdx.org/licenses/Apache-2.0>\n" +
+    "\n"
+
+/*  generate a problem description with a code frame  */
+const mkproblem = (problem, source, ctx, origin) => {
+    const color = problem.severity === "warning" ? chalk.yellow : chalk.red
+    let output = `${color.bold(problem.severity === "warning" ? "WARNING:" : "ERROR:")} `
+    if (problem.filename !== null) {
+        let dirname = path.dirname(problem.filename)
+        if (dirname !== "")
+            dirname += "/"
+        const basename = path.basename(problem.filename)
+        output += `${color("file")} ${color(dirname)}${color.bold(basename)}`
+        if (problem.line > 0)
+            output += `${color(", line ")}${color.bold(problem.line)}${color(", column ")}${color.bold(problem.column)}`
+        output += ` ${chalk.grey(`[${ctx}]`)}\n       `
+    }
+    output += `${chalk.bold(problem.message)} ${chalk.grey(`[${origin}]`)}\n`
+    if (source !== null && problem.line > 0) {
+        let frame = codeFrameColumns(
+            source,
+            { start: { line: problem.line, column: problem.column } },
+            { linesAbove: 2, linesBelow: 2 }
+        )
+        frame = frame
+            .replace(/^(\s*\d+\s+\|)/, (_, m1) =>
+                chalk.grey(m1))
+            .replace(/(\n)(\s*\d+\s+\|)/g, (_, m1, m2) =>
+                m1 + chalk.grey(m2))
+            .replace(/(\|\s*)(\^)/, (_, m1, m2) =>
+                chalk.grey(m1) + color.bold(m2))
+            .replace(/(\n)(>)(\s*\d+\s+\|)(.*)/, (_, m1, m2, m3, m4) =>
+                m1 + color.bold(m2) + chalk.grey(m3) + chalk.green(m4))
+        output += `${frame}\n`
+    }
+    return output + "\n"
+}
+
+/*  the options common to all commands  */
+const optsCommon = [
+    {   name: "cwd", type: "string", def: ".",
+        desc: "Change working directory to given path" },
+    {   name: "debug", type: "boolean", def: false,
+        desc: "Enable debugging mode" },
+    {   name: "verbose", type: "boolean", def: false,
+        desc: "Enable verbose output mode" },
+    {   name: "watch", type: "boolean", def: false,
+        desc: "Enable filesystem watching mode" },
+    {   name: "beep", type: "boolean", def: false,
+        desc: "Beep terminal after build" },
+    {   name: "notify", type: "boolean", def: false,
+        desc: "Notify after error build" },
+    {   name: "report", type: "string", def: "",
+        desc: "Write build report in format (\"json\", \"junit\", \"checkstyle\" or \"sarif\") to file (\"<format>:<file>\", repeatable)" },
+    {   name: "env", type: "string", def: "development",
+        desc: "Build for target environment (\"production\", \"development\" or configured one, comma-separated for matrix)" },
+    {   name: "max-warnings", type: "number", def: -1,
+        desc: "Fail build on more than number of warnings (-1 for configured limit or unlimited)" }
+]
+
+/*  the options of the linting pass  */
+const optsLint = [
+    {   name: "jobs", type: "number", def: 1,
+        desc: "Lint with number of parallel jobs (0 for number of CPUs)" },
+    {   name: "fix", type: "boolean", def: false,
+        desc: "Automatically fix linting findings where possible" },
+    {   name: "baseline-update", type: "boolean", def: false,
+        desc: "Accept all current linting findings by updating the baseline file" },
+    {   name: "cache", type: "boolean", def: false,
+        desc: "Persist linting results in cache file" },
+    {   name: "since", type: "string", def: "",
+        desc: "Lint only files changed since Git revision" },
+    {   name: "staged", type: "boolean", def: false,
+        desc: "Lint only files staged in Git index" }
+]
+
+/*  the options of the bundling pass  */
+const optsBundle = [
+    {   name: "tag", type: "string", def: "",
+        desc: "Build for tagged environment (\"\" or configured one, comma-separated for matrix)" }
+]
+
+/*  the options of the HTTP server mode  */
+const optsServer = [
+    {   name: "server", type: "boolean", def: false,
+        desc: "Enable HTTP server mode" },
+    {   name: "host", type: "string", def: "127.0.0.1",
+        desc: "Listen on host for HTTP server mode (\"127.0.0.1\")" },
+    {   name: "port", type: "number", def: 8080,
+        desc: "Listen on port for HTTP server mode (8080)" }
+]
+
+/*  the options of the bundle analysis  */
+const optsAnalyze = [
+    {   name: "output", type: "string", def: "gemstone-analyze.html",
+        desc: "Write bundle analysis to HTML file (\"gemstone-analyze.html\")" }
+]
+
+/*  the options of the build history  */
+const optsHistory = [
+    {   name: "cwd", type: "string", def: ".",
+        desc: "Change working directory to given path" },
+    {   name: "limit", type: "number", def: 20,
+        desc: "Show number of recent builds (20)" }
+]
+
+/*  the default values of all options (for API usage with partial options)  */
+const optsDefaults = [].concat(optsCommon, optsLint, optsBundle, optsServer, optsAnalyze)
+    .reduce((defaults, opt) => Object.assign(defaults, { [opt.name]: opt.def }), {})
+
+/*  determine the maximum number of warnings (command-line, per-environment or global configuration)  */
+const warningsLimit = (opts, fcfg, environment) => {
+    let maxWarnings = opts["max-warnings"]
+    if (maxWarnings < 0 && typeof fcfg.maxWarnings === "object") {
+        const name = environment.chain.find((name) => fcfg.maxWarnings[name] !== undefined)
+        maxWarnings = name !== undefined ? fcfg.maxWarnings[name] : -1
+    }
+    else if (maxWarnings < 0)
+        maxWarnings = fcfg.maxWarnings
+    if (!(Number.isInteger(maxWarnings) && maxWarnings >= -1))
+        throw new Error(`invalid maximum number of warnings "${maxWarnings}"`)
+    return maxWarnings
+}
+
+/*  execute a build for a single target, consisting of a linting and/or a bundling pass
+    (optionally reusing the linting results of another target with the same linting rules
+    and bundling into a particular output directory instead of the configured one)  */
+const buildTarget = async (opts, passes, linted = null, output = null) => {
+    /*  sanity check options  */
+    if (opts.server && !(Number.isInteger(opts.port) && opts.port > 0 && opts.port < 65536))
+        throw new Error(`invalid port "${opts.port}"`)
+    if (!(Number.isInteger(opts.jobs) && opts.jobs >= 0))
+        throw new Error(`invalid number of jobs "${opts.jobs}"`)
+    if (!(Number.isInteger(opts["max-warnings"]) && opts["max-warnings"] >= -1))
+        throw new Error(`invalid maximum number of warnings "${opts["max-warnings"]}"`)
+    if (opts.since !== "" && opts.staged)
+        throw new Error("options \"--since\" and \"--staged\" are mutually exclusive")
+    if ((opts.since !== "" || opts.staged) && opts["baseline-update"])
+        throw new Error("option \"--baseline-update\" requires linting of all files")
+    const reports = buildReport.parse(opts.report)
+
+    /*  locate Node executable  */
+    const nodeExe = process.execPath
+
+    /*  locate Webpack CLI  */
+    const webpackCli = require.resolve("webpack-cli/bin/cli.js")
+
+    /*  locate Webpack configuration generator  */
+    const gwcFile = require.resolve("gemstone-config-webpack")
+
+    /*  determine Gemstone configuration  */
+    const cfg = gemstoneConfig()
+
+    /*  determine Gemstone Frontend configuration  */
+    const fcfg = frontendConfig()
+    sizeBudget.validate(fcfg.budgets)
+
+    /*  determine target environment  */
+    const environment = frontendEnv.resolve(fcfg.environments, opts.env, opts.tag)
+    if (output !== null)
+        environment.webpack = frontendEnv.merge({}, environment.webpack, { output: { path: output } })
+    const parents = environment.chain.slice(1).map((name) => chalk.green(name)).join(", ")
+    process.stderr.write(`-- environment: ${chalk.bold.green(environment.name)}` +
+        `${parents !== "" ? ` (inherits ${parents})` : ""}` +
+        `${environment.tag !== "" ? `, tag: ${chalk.bold.green(environment.tag)}` : ""}\n`)
+    Object.keys(environment.linting).forEach((rules) => {
+        process.stderr.write(`-- linting rules ${chalk.bold(rules)}: ` +
+            `${frontendEnv.flatten(environment.linting[rules]).join(", ")}\n`)
+    })
+    if (Object.keys(environment.webpack).length > 0)
+        process.stderr.write(`-- webpack settings: ${frontendEnv.flatten(environment.webpack).join(", ")}\n`)
+
+    /*  determine the editor for opening problem locations (only one which opens a window of its own)  */
+    let editor = fcfg.editor !== "" ? fcfg.editor : (process.env.EDITOR || "")
+    if (opts.notify && editor !== "" && !sourceEditor.usable(editor)) {
+        process.stderr.write(`-- editor ${chalk.bold(editor)} cannot be opened without a terminal: ` +
+            "notifications are not clickable\n")
+        editor = ""
+    }
+    process.stderr.write("\n")
+
+    /*  determine the hook for build results  */
+    const hook = fcfg.hook !== "" ? buildHook(fcfg.hook) : null
+
+    /*  determine linters  */
+    const linters = passes.lint ? lintRegistry.resolve(fcfg.linters) : []
+
+    /*  determine the severity of linting findings (linters can provide it, rules can be demoted)  */
+    const severityOf = (finding) => {
+        if (finding.severity === "warning" || finding.severity === 1)
+            return "warning"
+        const rule = `${finding.ruleProc}:${finding.ruleId}`
+        return fcfg.warnings.some((pattern) => minimatch(rule, pattern)) ? "warning" : "error"
+    }
+
+    /*  determine the maximum number of warnings  */
+    const maxWarnings = warningsLimit(opts, fcfg, environment)
+    const tooManyWarnings = (count) => {
+        if (maxWarnings < 0 || count <= maxWarnings)
+            return false
+        process.stderr.write(`${chalk.bold.red("** ERROR:")} ` +
+            `${chalk.red(`${count} warnings exceed the maximum of ${maxWarnings} warnings`)}\n\n`)
+        return true
+    }
+
+    /*  establish worker pool for parallel linting  */
+    const jobs = opts.jobs === 0 ? os.cpus().length : opts.jobs
+    const pool = passes.lint && jobs > 1 ? lintPool(jobs) : null
+
+    /*  establish linting cache (in-memory for watch mode, on-disk on request)  */
+    let cache = null
+    if (passes.lint && (opts.watch || opts.cache)) {
+        cache = lintCache({
+            filename: opts.cache ? ".gemstone.lint-cache.json" : null,
+            config:   {
+                version:  pkg.version,
+                env:      opts.env,
+                linting:  [ cfg.linting, fcfg.linting, environment.linting ],
+                linters:  linters.map((entry) => [ entry.ctx, entry.name, entry.rules ]),
+                warnings: fcfg.warnings
+            }
+        })
+        await cache.load()
+    }
+
+    /*
+     *  PASS 1: Linting
+     */
+
+    const Pass1 = async (result, changed = null) => {
+        process.stderr.write(chalk.bold("++ PASS 1: LINTING\n"))
+        process.stderr.write(`-- using configuration for ${chalk.bold.green(opts.env)} environment\n`)
+        process.stderr.write("-- executing linters with Gemstone configuration\n")
+
+        /*  optionally narrow linting to the files changed in Git  */
+        let scope = null
+        if (opts.since !== "" || opts.staged) {
+            scope = await gitChanges.changes({ since: opts.since, staged: opts.staged })
+            const what = opts.staged ?
+                "staged in Git index" : `changed since Git revision ${chalk.bold(opts.since)}`
+            process.stderr.write(`-- linting only files ${what}\n`)
+            if (opts.staged) {
+                const partially = (await gitChanges.unstaged()).filter(scope)
+                partially.forEach((filename) => {
+                    process.stderr.write(`${chalk.bold.yellow("** WARNING:")} ` +
+                        `${chalk.yellow(`file "${path.relative(process.cwd(), filename)}" is only partially ` +
+                        "staged: its unstaged changes are linted, too")}\n`)
+                })
+            }
+        }
+
+        /*  lint source files  */
+        let progressCur  = 0.0
+        let progressDone = false
+        const progressBar = new Progress(`   linting: [${chalk.green(":bar")}] ${chalk.bold(":percent")} (elapsed: :elapseds) :msg `, {
+            complete:   "#",
+            incomplete: "=",
+            width:      20,
+            total:      linters.length,
+            stream:     process.stderr
+        })
+        const progressOf = {}
+        const progress = (ctx, fraction, msg) => {
+            if (progressDone)
+                return
+            if (msg.length > 40)
+                msg = msg.substr(0, 40) + "..."
+            progressOf[ctx] = Math.max(progressOf[ctx] || 0.0, Math.min(fraction, 1.0))
+            const cur = Object.keys(progressOf)
+                .reduce((sum, ctx) => sum + progressOf[ctx], 0.0)
+            const delta = cur >= progressBar.total ?
+                progressBar.total - progressBar.curr : cur - progressCur
+            progressBar.tick(Math.max(delta, 0.0), { msg })
+            progressCur = cur
+            if (progressBar.complete) {
+                progressDone = true
+                process.stderr.write("\n")
+            }
+        }
+        const options = {
+            verbose:  opts.verbose,
+            env:      environment.base,
+            colors:   process.stderr.isTTY,
+            rules:    {}
+        }
+        const report = {
+            sources:  {},
+            findings: []
+        }
+        const filenames = {}
+        const cached = {}
+        const fixed = {}
+        const failed = {}
+        const refused = []
+
+        /*  lint files, where a linter which signals a failure without reporting any findings
+            (e.g. on an internal error) fails the linting (while findings are judged on their own,
+            as the linters are not aware of warnings, limits and baselines)  */
+        const lint = async (entry, filenames, lintOpts) => {
+            const partial = { sources: {}, findings: [], failed: false }
+            if (pool === null) {
+                /*  lint in-process  */
+                const passed = await entry.linter(filenames, lintOpts, partial)
+                partial.failed = !passed && partial.findings.length === 0
+            }
+            else {
+                /*  lint shards of the files in parallel child processes  */
+                const size = Math.max(Math.ceil(filenames.length / pool.size), 25)
+                const shards = []
+                for (let i = 0; i < filenames.length; i += size)
+                    shards.push(filenames.slice(i, i + size))
+                if (shards.length === 0)
+                    shards.push([])
+                const taskOpts = Object.assign({}, lintOpts)
+                delete taskOpts.progress
+                const fractions = shards.map(() => 0.0)
+                const results = await Promise.all(shards.map((shard, i) =>
+                    pool.run(entry.module, shard, taskOpts, (fraction, msg) => {
+                        fractions[i] = fraction
+                        const done = fractions.reduce((sum, fraction, j) =>
+                            sum + fraction * shards[j].length, 0.0)
+                        lintOpts.progress(filenames.length > 0 ? done / filenames.length : fraction, msg)
+                    })
+                ))
+                results.forEach((result) => {
+                    result.report.findings.forEach((finding) => partial.findings.push(finding))
+                    Object.assign(partial.sources, result.report.sources)
+                    if (!result.passed && result.report.findings.length === 0)
+                        partial.failed = true
                 })
-                let rounds = 0
-                const options = {
-                    verbose:  opts.verbose,
-                    env:      opts.env,
-                    colors:   process.stderr.isTTY,
-                    rules:    {},
-                    progress: (fraction, msg) => {
-                        if (msg.length > 40)
-                            msg = msg.substr(0, 40) + "..."
-                        const delta = ((rounds * 1.0) + fraction) - progressCur
-                        progressBar.tick(delta, { msg })
-                        if (progressBar.complete)
-                            process.stderr.write("\n")
-                        progressCur += delta
+            }
+            partial.findings.forEach((finding) => { finding.ctx = entry.ctx })
+            if (partial.failed)
+                failed[entry.ctx] = true
+            return partial
+        }
+        const doFix = async (entry, lintOpts) => {
+            /*  fix with the linting engines (as the linter modules do not fix on their own)  */
+            const ctx = entry.ctx
+            const fixer = lintFixers[entry.rules]
+            if (fixer === undefined) {
+                fixed[ctx] = null
+                return
+            }
+            fixed[ctx] = 0
+
+            /*  determine files with findings which did not change since linting  */
+            const fixable = []
+            const candidates = report.findings
+                .filter((finding) => finding.ctx === ctx)
+                .map((finding) => finding.filename)
+                .filter((filename, i, filenames) => filenames.indexOf(filename) === i)
+            for (const filename of candidates) {
+                const source = await fs.readFile(filename, "utf8")
+                if (report.sources[filename] !== undefined && report.sources[filename] !== source)
+                    refused.push(filename)
+                else
+                    fixable.push({ filename, source })
+            }
+
+            /*  apply the fixes and re-lint the actually fixed files only  */
+            const rewritten = []
+            for (const file of fixable) {
+                const source = await fixer(file.source, {
+                    filename: path.resolve(file.filename),
+                    linter:   entry.module,
+                    rules:    lintOpts.rules
+                })
+                if (source !== null && source !== file.source) {
+                    await fs.writeFile(file.filename, source, { encoding: "utf8" })
+                    rewritten.push(file)
+                }
+            }
+            if (rewritten.length === 0)
+                return
+            const isRewritten = (filename) =>
+                rewritten.find((file) => file.filename === filename) !== undefined
+            lintOpts = Object.assign({}, lintOpts, { progress: () => {} })
+            const partial = await lint(entry, rewritten.map((file) => file.filename), lintOpts)
+
+            /*  replace the findings of the fixed files  */
+            const before = report.findings
+                .filter((finding) => finding.ctx === ctx && isRewritten(finding.filename))
+                .length
+            report.findings = report.findings
+                .filter((finding) => !(finding.ctx === ctx && isRewritten(finding.filename)))
+                .concat(partial.findings)
+            rewritten.forEach((file) => { delete report.sources[file.filename] })
+            Object.assign(report.sources, partial.sources)
+            fixed[ctx] = Math.max(before - partial.findings.length, 0)
+
+            /*  update the linting cache with the fixed files  */
+            if (cache !== null && !partial.failed) {
+                for (const file of rewritten) {
+                    const source = await fs.readFile(file.filename, "utf8")
+                    const findings = partial.findings.filter((finding) => finding.filename === file.filename)
+                    cache.set(ctx, file.filename, cache.hash(source), findings,
+                        findings.length > 0 ? (partial.sources[file.filename] || source) : null)
+                }
+            }
+        }
+        const doLint = async (entry) => {
+            const ctx = entry.ctx
+            const started = Date.now()
+            const all = await lintRegistry.files(entry, cfg.path.source)
+            filenames[ctx] = scope !== null ? all.filter(scope) : all
+            const lintOpts = Object.assign({}, options, {
+                rules: frontendEnv.merge(Object.assign({},
+                    cfg.linting ? cfg.linting[entry.rules] : {},
+                    fcfg.linting[entry.rules]), environment.linting[entry.rules]),
+                progress: (fraction, msg) => progress(ctx, fraction, msg)
+            })
+            if (cache === null) {
+                /*  lint all files  */
+                const partial = await lint(entry, filenames[ctx], lintOpts)
+                partial.findings.forEach((finding) => report.findings.push(finding))
+                Object.assign(report.sources, partial.sources)
+            }
+            else {
+                /*  reuse the findings of all unchanged files  */
+                cache.prune(ctx, all)
+                cached[ctx] = 0
+                const outdated = []
+                for (const filename of filenames[ctx]) {
+                    const entry = cache.get(ctx, filename)
+                    let hash = null
+                    let source = null
+                    if (entry === null || changed === null || changed[path.resolve(filename)]) {
+                        source = await fs.readFile(filename, "utf8")
+                        hash   = cache.hash(source)
+                    }
+                    if (entry !== null && (hash === null || hash === entry.hash)) {
+                        entry.findings.forEach((finding) => report.findings.push(Object.assign({}, finding)))
+                        if (entry.findings.length > 0)
+                            report.sources[filename] = entry.source
+                        cached[ctx]++
                     }
+                    else
+                        outdated.push({ filename, hash, source })
+                }
+
+                /*  lint the changed files only  */
+                if (outdated.length > 0) {
+                    const partial = await lint(entry, outdated.map((file) => file.filename), lintOpts)
+                    if (!partial.failed) {
+                        /*  cache the results (but not of failed linters, to re-lint next time)  */
+                        outdated.forEach((file) => {
+                            const findings = partial.findings.filter((finding) =>
+                                path.resolve(finding.filename) === path.resolve(file.filename))
+                            const source = findings.length > 0 ?
+                                (partial.sources[findings[0].filename] || file.source) : null
+                            cache.set(ctx, file.filename, file.hash, findings, source)
+                        })
+                    }
+                    partial.findings.forEach((finding) => report.findings.push(finding))
+                    Object.assign(report.sources, partial.sources)
+                }
+            }
+            if (opts.fix)
+                await doFix(entry, lintOpts)
+            progress(ctx, 1.0, `${ctx}: done`)
+            result.timings.linters[ctx] = Date.now() - started
+        }
+        if (pool !== null)
+            await Promise.all(linters.map((entry) => doLint(entry)))
+        else {
+            for (const entry of linters)
+                await doLint(entry)
+        }
+
+        /*  sort findings deterministically (independent of the linting order)  */
+        report.findings.sort((a, b) =>
+            a.filename.localeCompare(b.filename)
+            || (a.line - b.line)
+            || (a.column - b.column)
+            || a.ctx.localeCompare(b.ctx)
+            || String(a.ruleId).localeCompare(String(b.ruleId))
+            || a.message.localeCompare(b.message))
+        report.findings.forEach((finding) => { finding.severity = severityOf(finding) })
+        if (cache !== null)
+            await cache.save()
+
+        /*  report files which were not fixed as they changed in the meantime  */
+        refused.forEach((filename) => {
+            process.stderr.write(`${chalk.bold.yellow("** WARNING:")} ` +
+                `${chalk.yellow(`refused to fix file "${filename}" as it changed during linting`)}\n`)
+        })
+        if (refused.length > 0)
+            process.stderr.write("\n")
+
+        /*  suppress findings which are accepted by the baseline  */
+        let baselined = null
+        const sources = Object.assign({}, report.sources)
+        if (opts["baseline-update"]) {
+            const entries = await lintBaseline.save(fcfg.baseline, report.findings, sources)
+            process.stderr.write(`-- updated baseline ${chalk.bold(fcfg.baseline)} ` +
+                `with ${chalk.bold(entries.length)} findings\n\n`)
+        }
+        const baseline = await lintBaseline.load(fcfg.baseline)
+        if (baseline !== null) {
+            baselined = await lintBaseline.apply(baseline, report.findings, sources)
+            if (scope !== null)
+                baselined.vanished = baselined.vanished.filter((entry) => scope(entry.filename))
+            report.findings = baselined.fresh
+            if (baselined.vanished.length > 0) {
+                process.stderr.write(`-- ${chalk.bold.green(baselined.vanished.length)} baselined findings ` +
+                    `have disappeared (update the baseline with ${chalk.bold("--baseline-update")}):\n`)
+                baselined.vanished.forEach((entry) => {
+                    process.stderr.write(`   ${chalk.green(entry.filename)}: ${entry.message} ` +
+                        `${chalk.grey(`[${entry.ruleProc}: ${entry.ruleId}]`)}\n`)
+                })
+                process.stderr.write("\n")
+            }
+        }
+
+        /*  report linting results  */
+        const isWarning = (finding) => finding.severity === "warning"
+        const data = [ [
+            chalk.underline("Source Type"),
+            chalk.underline("Files"),
+            chalk.underline("Errors"),
+            chalk.underline("Warnings")
+        ]
+            .concat(opts.fix ? [ chalk.underline("Fixed") ] : [])
+            .concat(baselined !== null ? [ chalk.underline("Baselined") ] : [])
+            .concat(cache !== null ? [ chalk.underline("Cached") ] : []) ]
+        const mkstat = (ctx) => {
+            const files = filenames[ctx].length
+            const reused = cached[ctx]
+            const accepted = baselined !== null ?
+                baselined.suppressed.filter((finding) => finding.ctx === ctx).length : 0
+            const findings = report.findings.filter((finding) => finding.ctx === ctx)
+            let errors   = findings.filter((finding) => !isWarning(finding)).length
+            let warnings = findings.filter((finding) => isWarning(finding)).length
+            const label  = errors > 0 ? chalk.bold.red(ctx) : (warnings > 0 ? chalk.bold.yellow(ctx) : chalk.bold(ctx))
+            errors   = errors   > 0 ? chalk.red(errors)      : chalk.green(errors)
+            warnings = warnings > 0 ? chalk.yellow(warnings) : chalk.green(warnings)
+            data.push([ label, files, errors, warnings ]
+                .concat(opts.fix ? [ fixed[ctx] === null ? chalk.grey("-")
+                    : (fixed[ctx] > 0 ? chalk.blue(fixed[ctx]) : chalk.grey(fixed[ctx])) ] : [])
+                .concat(baselined !== null ? [ chalk.grey(accepted) ] : [])
+                .concat(cache !== null ? [ chalk.grey(reused) ] : []))
+        }
+        linters.forEach((entry) => mkstat(entry.ctx))
+        process.stderr.write(mktable(data))
+        process.stderr.write("\n")
+
+        /*  report linting details  */
+        report.findings
+            .forEach((finding) => {
+                const origin = `${finding.ruleProc}: ${finding.ruleId}`
+                process.stderr.write(mkproblem(finding, report.sources[finding.filename] || "", finding.ctx, origin))
+            })
+
+        /*  report linters which failed without findings  */
+        Object.keys(failed).forEach((ctx) => {
+            process.stderr.write(`${chalk.bold.red("** ERROR:")} ` +
+                `${chalk.red(`linter for ${ctx} failed without reporting any findings`)}\n\n`)
+        })
+
+        /*  only failed linters, errors and too many warnings fail the linting  */
+        const errors = report.findings.filter((finding) => !isWarning(finding)).length
+        const passed = Object.keys(failed).length === 0
+            && errors === 0 && !tooManyWarnings(report.findings.length - errors)
+
+        /*  provide linting results  */
+        result.filenames = filenames
+        result.findings  = report.findings
+        linters.forEach((entry) => {
+            const ctx = entry.ctx
+            result.linters[ctx] = {
+                files:     filenames[ctx].length,
+                findings:  report.findings.filter((finding) => finding.ctx === ctx).length,
+                errors:    report.findings.filter((finding) => finding.ctx === ctx && !isWarning(finding)).length,
+                warnings:  report.findings.filter((finding) => finding.ctx === ctx && isWarning(finding)).length,
+                fixed:     fixed[ctx] || 0,
+                cached:    cached[ctx] || 0,
+                baselined: baselined !== null ?
+                    baselined.suppressed.filter((finding) => finding.ctx === ctx).length : 0
+            }
+        })
+        result.baseline  = baselined === null ? null : {
+            suppressed: baselined.suppressed.length,
+            vanished:   baselined.vanished
+        }
+        return passed
+    }
+
+    /*
+     *  PASS 2: Bundling
+     */
+
+    /*  persistent in-process Webpack compiler (for watch mode only)  */
+    let compiler = null
+    let compilerChanged = null
+
+    /*  complete the timestamps for incremental rebuilds: the Webpack cache already stats
+        the file dependencies of the last compilation, so only the files reported as changed
+        by our filesystem watcher (and the directories containing them) are marked as modified
+        and the directory timestamps are added (a missing timestamp causes a rebuild)  */
+    const tapTimestamps = (compiler) => {
+        let contexts = []
+        compiler.hooks.afterCompile.tap("GemstoneFrontend", (compilation) => {
+            contexts = Array.from(compilation.contextDependencies)
+        })
+        compiler.hooks.run.tapPromise("GemstoneFrontend", async (compiler) => {
+            /*  without a change set, force a full rebuild  */
+            if (compilerChanged === null) {
+                compiler.fileTimestamps    = new Map()
+                compiler.contextTimestamps = new Map()
+                return
+            }
+
+            /*  mark the changed files as modified (on top of the file timestamps of the cache)  */
+            const changed = Object.keys(compilerChanged)
+            changed.forEach((filename) => { compiler.fileTimestamps.set(filename, Infinity) })
+
+            /*  determine the context timestamps (which the cache does not provide)  */
+            const contextTimestamps = new Map()
+            await Promise.all(contexts.map(async (dirname) => {
+                if (changed.some((filename) => filename.startsWith(dirname + path.sep)))
+                    contextTimestamps.set(dirname, Infinity)
+                else {
+                    const stat = await fs.stat(dirname).catch(() => null)
+                    if (stat !== null)
+                        contextTimestamps.set(dirname, stat.mtime.getTime())
+                }
+            }))
+            compiler.contextTimestamps = contextTimestamps
+        })
+    }
+
+    /*  bundle in-process with the persistent Webpack compiler
+        (where failures result in statistics with errors, in order to not break watch mode)  */
+    const bundleInProcess = async (changed) => {
+        const failed = (err) => {
+            process.stderr.write(`ERROR: failed to execute Webpack:\n${err.stack || err}\n`)
+            return { errors: [ String(err.message || err) ], warnings: [], entrypoints: {}, chunks: [], assets: [], modules: [] }
+        }
+        if (compiler === null) {
+            process.stderr.write("-- creating bundler with Gemstone configuration\n")
+            try {
+                const config = frontendEnv.merge(require(gwcFile)({
+                    verbose: opts.verbose,
+                    env:     environment.base,
+                    tag:     environment.tag
+                }), environment.webpack)
+                config.cache   = true
+                config.profile = true
+                if (opts.debug) {
+                    config.plugins = (config.plugins || [])
+                        .concat([ new webpack.LoaderOptionsPlugin({ debug: true }) ])
                 }
-                const report = {
-                    sources:  {},
-                    findings: []
+                compiler = webpack(config)
+            }
+            catch (ex) {
+                compiler = null
+                return failed(ex)
+            }
+            tapTimestamps(compiler)
+        }
+        compilerChanged = changed
+        process.stderr.write("-- executing bundler with Gemstone configuration (incrementally)\n")
+        return new Promise((resolve) => {
+            compiler.run((err, stats) => {
+                if (err)
+                    resolve(failed(err))
+                else
+                    resolve(stats.toJson())
+            })
+        })
+    }
+
+    /*  temporary files (to be removed on quitting watch mode)  */
+    const tempFiles = {}
+
+    /*  bundle with a spawned Webpack command-line interface  */
+    const bundleSpawned = async () => {
+        /*  generate temporary Webpack configuration stub  */
+        const wpcFile = `.gemstone.webpack.${environment.name}${environment.tag !== "" ? "." + environment.tag : ""}.js`
+        const envFile = path.join(__dirname, "gemstone-tool-frontend-env.js")
+        const wpcData = `module.exports = require(${JSON.stringify(envFile)}).merge(\n` +
+        `    require(${JSON.stringify(gwcFile)})({\n` +
+        `        verbose: ${JSON.stringify(opts.verbose)},\n` +
+        `        env: ${JSON.stringify(environment.base)},\n` +
+        `        tag: ${JSON.stringify(environment.tag)}\n` +
+        "    }),\n" +
+        `    ${JSON.stringify(environment.webpack)}\n` +
+        ")\n"
+        await fs.writeFile(wpcFile, wpcData, { encoding: "utf8" })
+        tempFiles[wpcFile] = true
+
+        /*  spawn Webpack command-line interface  */
+        const stats = await new Promise((resolve, reject) => {
+            process.stderr.write("-- executing bundler with Gemstone configuration\n")
+            const wpOpts = [ webpackCli, "--config", wpcFile, "--bail", "--json", "--profile" ]
+            if (opts.debug)
+                wpOpts.push("--debug")
+            const child = spawn(nodeExe, wpOpts, { stdio: [ "inherit", "pipe", "inherit" ] })
+            let stdout = ""
+            child.stdout.on("data", async (data) => {
+                stdout += data.toString()
+            })
+            child.on("close", async (code) => {
+                await fs.unlink(wpcFile)
+                delete tempFiles[wpcFile]
+                let stats
+                try {
+                    stats = JSON.parse(stdout)
                 }
-                let passed = true
-                const filenames = {}
-                const doLint = async (ctx, linter, proc, ext) => {
-                    filenames[ctx] = await glob(path.join(cfg.path.source, "**", ext))
-                    passed &= await linter(filenames[ctx],
-                        Object.assign({}, options,
-                            cfg.linting && cfg.linting[proc] ? { rules: cfg.linting[proc] } : {}), report)
-                    rounds++
+                catch (ex) {
+                    process.stderr.write(`ERROR: failed to parse JSON output of Webpack:\n${stdout}`)
+                    reject(new Error(`failed to parse JSON output of Webpack:\n${stdout}`))
                 }
-                await doLint("JS",   gemstoneLinterJS,   "eslint",    "*.js")
-                await doLint("TS",   gemstoneLinterTS,   "tslint",    "*.ts")
-                await doLint("HTML", gemstoneLinterHTML, "htmlhint",  "*.html")
-                await doLint("CSS",  gemstoneLinterCSS,  "stylelint", "*.css")
-                await doLint("YAML", gemstoneLinterYAML, "jsyaml",    "*.yaml")
-                await doLint("JSON", gemstoneLinterJSON, "jsonlint",  "*.json")
-
-                /*  report linting results  */
+                if (code === 0)
+                    resolve(stats)
+                else
+                    resolve(stats) /* no need to reject  */
+            })
+        })
+        return stats
+    }
+
+    const Pass2 = async (result, changed = null) => {
+        process.stderr.write(chalk.bold("++ PASS 2: COMPILING\n"))
+        process.stderr.write(`-- using configuration for ${chalk.bold.green(opts.env)} environment\n`)
+
+        /*  bundle either incrementally (watch mode) or from scratch (one-time mode)  */
+        const webpackStarted = Date.now()
+        const stats = opts.watch ? await bundleInProcess(changed) : await bundleSpawned()
+        result.timings.webpack = Date.now() - webpackStarted
+        result.timings.modules = buildHistory.slowest(stats)
+        process.stderr.write("\n")
+
+        /*  measure sizes and compare them with the previous build  */
+        const sizesKey = `${opts.env}:${opts.tag}`
+        const sizes    = sizeBudget.measure(stats)
+        const previous = await sizeBudget.load(sizesKey)
+        const mkdelta = (size, prev) => {
+            const delta = sizeBudget.formatDelta(size, prev)
+            if (prev === undefined || prev === size)
+                return chalk.grey(delta)
+            return size > prev ? chalk.red(delta) : chalk.green(delta)
+        }
+
+        /*  report Webpack on entries  */
+        if (stats.errors.length === 0) {
+            const data = [ [
+                chalk.underline("Entry"),
+                chalk.underline("Chunks"),
+                chalk.underline("Assets"),
+                chalk.underline("Size"),
+                chalk.underline("Delta")
+            ] ]
+            Object.keys(stats.entrypoints).forEach((name) => {
+                const entry = stats.entrypoints[name]
+                data.push([
+                    chalk.bold(name),
+                    entry.chunks.map((chunk) => chalk.green(chunk)).join(", "),
+                    entry.assets.join(", "),
+                    sizes.entries[name],
+                    mkdelta(sizes.entries[name], previous.entries[name])
+                ])
+            })
+            process.stderr.write(mktable(data))
+            process.stderr.write("\n")
+        }
+
+        /*  report on Webpack chunks  */
+        if (stats.errors.length === 0) {
+            const data = [ [
+                chalk.underline("Chunk"),
+                chalk.underline("Parents"),
+                chalk.underline("Names"),
+                chalk.underline("Size"),
+                chalk.underline("Delta"),
+                chalk.underline("Modules")
+            ] ]
+            Object.keys(stats.chunks).forEach((name) => {
+                const chunk = stats.chunks[name]
+                data.push([
+                    chalk.green(chunk.id),
+                    chunk.parents.map((chunk) => chalk.green(chunk)).join(", "),
+                    chunk.names.join(", "),
+                    chunk.size,
+                    mkdelta(chunk.size, previous.chunks[sizeBudget.chunkName(chunk)]),
+                    chunk.modules.length
+                ])
+            })
+            process.stderr.write(mktable(data))
+            process.stderr.write("\n")
+        }
+
+        /*  report on Webpack assets  */
+        if (stats.errors.length === 0) {
+            const data = [ [
+                chalk.underline("Asset"),
+                chalk.underline("Chunks"),
+                chalk.underline("Size"),
+                chalk.underline("Delta")
+            ] ]
+            stats.assets.forEach((asset) => {
+                data.push([
+                    chalk.bold(asset.name),
+                    asset.chunks.map((chunk) => chalk.green(chunk)).join(", "),
+                    asset.size,
+                    mkdelta(asset.size, previous.assets[sizeBudget.stableName(asset.name)])
+                ])
+            })
+            process.stderr.write(mktable(data))
+            process.stderr.write("\n")
+        }
+
+        /*  report on Webpack modules  */
+        if (stats.errors.length === 0) {
+            const data = [ [
+                chalk.underline("Module"),
+                chalk.underline("Size"),
+                chalk.underline("Chunks"),
+                chalk.underline("Depth")
+            ] ]
+            stats.modules.map((module) => {
+                let name = module.identifier
+                name = name.replace(/^.*!/, "")
+                name = path.relative(process.cwd(), name)
+                return { name, size: module.size, chunks: module.chunks, depth: module.depth }
+            }).sort((a, b) => {
+                if (a.depth !== b.depth)
+                    return a.depth - b.depth
+                else
+                    a.name.localeCompare(b.name)
+            }).forEach((module) => {
+                let name = module.name
+                if (!opts.verbose && name.match(/^(?:node_modules|bower_components)\//))
+                    return
+                if (module.errors > 0)
+                    name = chalk.red(name)
+                else if (module.warnings > 0)
+                    name = chalk.yellow(name)
+                data.push([
+                    name,
+                    module.size,
+                    module.chunks.map((chunk) => chalk.green(chunk)).join(", "),
+                    module.depth
+                ])
+            })
+            process.stderr.write(mktable(data))
+            process.stderr.write("\n")
+        }
+
+        /*  report Webpack errors and warnings  */
+        const errors   = bundleProblems.parse("error",   stats.errors)
+        const warnings = bundleProblems.parse("warning", stats.warnings)
+        for (const problem of errors.concat(warnings)) {
+            let source = null
+            if (problem.filename !== null && problem.line > 0 && await fs.exists(problem.filename))
+                source = await fs.readFile(problem.filename, "utf8").catch(() => null)
+            const display = problem.filename === null ?
+                problem : Object.assign({}, problem, { filename: path.relative(process.cwd(), problem.filename) })
+            process.stderr.write(mkproblem(display, source, "Webpack", problem.origin))
+            if (opts.verbose && problem.text !== problem.message)
+                process.stderr.write(`${chalk.grey(problem.text.replace(/^/mg, "       "))}\n\n`)
+        }
+
+        /*  analyze bundle  */
+        if (passes.analyze && stats.errors.length === 0) {
+            const analysis = bundleAnalyzer.analyze(stats)
+            if (analysis.duplicates.length > 0) {
                 const data = [ [
-                    chalk.underline("Source Type"),
-                    chalk.underline("Files"),
-                    chalk.underline("Findings")
+                    chalk.underline("Duplicate Package"),
+                    chalk.underline("Version"),
+                    chalk.underline("Path"),
+                    chalk.underline("Size")
                 ] ]
-                const mkstat = (ctx) => {
-                    const files = filenames[ctx].length
-                    let findings = report.findings
-                        .filter((finding) => finding.ctx === ctx)
-                        .length
-                    if (findings > 0) {
-                        ctx = chalk.bold.red(ctx)
-                        findings = chalk.red(findings)
-                    }
-                    else {
-                        ctx = chalk.bold(ctx)
-                        findings = chalk.green(findings)
-                    }
-                    data.push([ ctx, files, findings ])
-                }
-                mkstat("JS")
-                mkstat("TS")
-                mkstat("HTML")
-                mkstat("CSS")
-                mkstat("YAML")
-                mkstat("JSON")
+                analysis.duplicates.forEach((duplicate) => {
+                    duplicate.instances.forEach((instance) => {
+                        data.push([
+                            chalk.bold.yellow(duplicate.name),
+                            instance.version,
+                            instance.path,
+                            instance.size
+                        ])
+                    })
+                })
                 process.stderr.write(mktable(data))
                 process.stderr.write("\n")
+            }
+            const title = `Gemstone Frontend Bundle Analysis (${opts.env}${opts.tag !== "" ? ", " + opts.tag : ""})`
+            await fs.writeFile(opts.output, bundleAnalyzer.html(analysis, title), { encoding: "utf8" })
+            process.stderr.write(`-- written bundle analysis to ${chalk.bold(opts.output)} ` +
+                `(${chalk.bold(analysis.duplicates.length)} duplicate packages)\n\n`)
+            result.analysis = analysis
+        }
 
-                /*  report linting details  */
-                report.findings
-                    .sort((a, b) => {
-                        let diff = a.filename.localeCompare(b.filename)
-                        if (diff === 0) {
-                            diff = a.line - b.line
-                            if (diff === 0)
-                                diff = a.col - b.col
-                        }
-                        return diff
-                    })
-                    .forEach((finding) => {
-                        const ctx = `[${finding.ctx}]`
-                        let dirname = path.dirname(finding.filename)
-                        if (dirname !== "")
-                            dirname += "/"
-                        const basename = path.basename(finding.filename)
-                        const line     = finding.line
-                        const column   = finding.column
-                        const message  = finding.message
-                        const origin   = `[${finding.ruleProc}: ${finding.ruleId}]`
-                        let frame = codeFrameColumns(
-                            report.sources[finding.filename] || "",
-                            { start: { line: finding.line, column: finding.column } },
-                            { linesAbove: 2, linesBelow: 2 }
-                        )
-                        frame = frame
-                            .replace(/^(\s*\d+\s+\|)/, (_, m1) =>
-                                chalk.grey(m1))
-                            .replace(/(\n)(\s*\d+\s+\|)/g, (_, m1, m2) =>
-                                m1 + chalk.grey(m2))
-                            .replace(/(\|\s*)(\^)/, (_, m1, m2) =>
-                                chalk.grey(m1) + chalk.bold.red(m2))
-                            .replace(/(\n)(>)(\s*\d+\s+\|)(.*)/, (_, m1, m2, m3, m4) =>
-                                m1 + chalk.bold.red(m2) + chalk.grey(m3) + chalk.green(m4))
-                        const output =
-                            `${chalk.bold.red("ERROR:")} ` +
-                            `${chalk.red("file")} ${chalk.red(dirname)}${chalk.red.bold(basename)}` +
-                            `${chalk.red(", line ")}${chalk.red.bold(line)}${chalk.red(", column ")}${chalk.red.bold(column)}${chalk.red("")} ` +
-                            `${chalk.grey(ctx)}\n` +
-                            `       ${chalk.bold(message)} ${chalk.grey(origin)}\n` +
-                            `${frame}\n` +
-                            "\n"
-                        process.stderr.write(output)
-                    })
+        /*  check sizes against budgets and remember them for the next build  */
+        let violations = []
+        if (stats.errors.length === 0) {
+            violations = sizeBudget.check(fcfg.budgets, sizes)
+            violations.forEach((violation) => {
+                const text = `${violation.type} "${violation.name}" exceeds size budget: ` +
+                    `${sizeBudget.formatSize(violation.size)} > ${sizeBudget.formatSize(violation.limit)}`
+                if (violation.severity === "error")
+                    process.stderr.write(`${chalk.bold.red("** ERROR:")} ${chalk.red(text)}\n`)
+                else
+                    process.stderr.write(`${chalk.bold.yellow("** WARNING:")} ${chalk.yellow(text)}\n`)
+            })
+            if (violations.length > 0)
+                process.stderr.write("\n")
+            await sizeBudget.save(sizesKey, sizes)
+        }
 
-                return passed
+        /*  provide bundling results  */
+        result.budgets  = violations
+        result.errors   = errors
+        result.warnings = warnings
+        result.bundle   = {
+            entrypoints: Object.keys(stats.entrypoints || {}).map((name) => ({
+                name,
+                chunks: stats.entrypoints[name].chunks,
+                assets: stats.entrypoints[name].assets
+            })),
+            chunks: (stats.chunks || []).map((chunk) => ({
+                id:      chunk.id,
+                names:   chunk.names,
+                size:    chunk.size,
+                modules: chunk.modules.length
+            })),
+            assets: (stats.assets || []).map((asset) => ({
+                name:   asset.name,
+                size:   asset.size,
+                chunks: asset.chunks
+            }))
+        }
+        result.entrypoints = result.bundle.entrypoints
+        result.assets      = result.bundle.assets
+        const lintWarnings   = result.findings.filter((finding) => finding.severity === "warning").length
+        const budgetWarnings = violations.filter((violation) => violation.severity === "warning").length
+        return (errors.length === 0
+            && !violations.some((violation) => violation.severity === "error")
+            && !tooManyWarnings(lintWarnings + warnings.length + budgetWarnings))
+    }
+
+    /*
+     *  MAIN
+     */
+
+    /*  optionally start HTTP server  */
+    let server = null
+    if (opts.server) {
+        server = devServer({ root: cfg.path.output, host: opts.host, port: opts.port })
+        await server.start()
+        process.stderr.write(`-- serving ${chalk.bold(cfg.path.output)} under ${chalk.bold.green(server.url)}\n\n`)
+    }
+
+    /*  execute passes  */
+    const singleRun = async (changed = null, only = passes) => {
+        const result = {
+            env:         opts.env,
+            tag:         opts.tag,
+            passed:      false,
+            pass:        only.lint || linted !== null ? "linting" : "bundling",
+            filenames:   {},
+            findings:    [],
+            linters:     {},
+            baseline:    null,
+            errors:      [],
+            warnings:    [],
+            budgets:     [],
+            bundle:      null,
+            entrypoints: [],
+            assets:      [],
+            timings:     { lint: 0, bundle: 0, total: 0, linters: {}, webpack: 0, modules: [] }
+        }
+        const started = Date.now()
+        let passed = true
+        if (only.lint) {
+            passed = await Pass1(result, changed)
+            result.timings.lint = Date.now() - started
+        }
+        else if (linted !== null) {
+            /*  reuse the linting results of another target  */
+            process.stderr.write(chalk.bold("++ PASS 1: LINTING\n"))
+            process.stderr.write(`-- reusing linting results of ${chalk.bold.green(linted.env)} environment\n\n`)
+            result.filenames = linted.filenames
+            result.findings  = linted.findings
+            result.linters   = linted.linters
+            result.baseline  = linted.baseline
+            passed = linted.pass !== "linting" || linted.passed
+        }
+        if (passed && only.bundle) {
+            const bundleStarted = Date.now()
+            result.pass = "bundling"
+            passed = await Pass2(result, changed)
+            result.timings.bundle = Date.now() - bundleStarted
+        }
+        result.timings.total = Date.now() - started
+        result.passed = Boolean(passed)
+
+        /*  report timings  */
+        const timings = result.timings
+        const data = [ [
+            chalk.underline("Timing"),
+            chalk.underline("Duration")
+        ] ]
+        if (only.lint) {
+            data.push([ chalk.bold("linting"), buildHistory.formatTime(timings.lint) ])
+            Object.keys(timings.linters).forEach((ctx) => {
+                data.push([ `   ${ctx}`, chalk.grey(buildHistory.formatTime(timings.linters[ctx])) ])
+            })
+        }
+        if (result.bundle !== null) {
+            data.push([ chalk.bold("bundling"), buildHistory.formatTime(timings.bundle) ])
+            data.push([ "   Webpack", chalk.grey(buildHistory.formatTime(timings.webpack)) ])
+            timings.modules.slice(0, opts.verbose ? timings.modules.length : 3).forEach((module) => {
+                data.push([ `      ${module.name}`, chalk.grey(buildHistory.formatTime(module.time)) ])
+            })
+        }
+        data.push([ chalk.bold("total"), chalk.bold(buildHistory.formatTime(timings.total)) ])
+        process.stderr.write(mktable(data))
+        process.stderr.write("\n")
+        await buildHistory.append(result)
+        if (reports.length > 0) {
+            /*  machine-readable reports  */
+            await buildReport.write(reports, result)
+            reports.forEach((report) => {
+                process.stderr.write(`-- written ${chalk.bold(report.format)} report to ${chalk.bold(report.filename)}\n`)
+            })
+            process.stderr.write("\n")
+        }
+        if (server !== null) {
+            /*  live reload or error overlay  */
+            if (passed)
+                server.reload()
+            else {
+                const messages = result.findings.map((finding) =>
+                    `${finding.filename}:${finding.line}:${finding.column}: ` +
+                    `${finding.message} [${finding.ruleProc}: ${finding.ruleId}]`
+                ).concat(result.errors.concat(result.warnings).map(bundleProblems.format))
+                server.error(result.pass, messages)
             }
+        }
+        if (opts.beep) {
+            /*  beep notification  */
+            if (passed)
+                beep(1)
+            else
+                beep([ 0, 100, 500 ])
+        }
+        if (opts.notify) {
+            /*  message notification  */
+            if (passed)
+                notifier.notify({
+                    title:   "Gemstone Build: OK",
+                    message: server !== null ?
+                        "The application was reloaded in your browser."
+                        : "Please reload the application in your browser.",
+                    wait:    false
+                })
+            else {
+                /*  summarize the problems and locate the first failing one  */
+                const problems = result.findings.concat(result.errors, result.warnings)
+                const errors   = problems.filter((problem) => problem.severity !== "warning").length
+                const warnings = problems.length - errors
+                const first    = problems.find((problem) => problem.severity !== "warning" && problem.filename !== null)
+                    || problems.find((problem) => problem.filename !== null)
+                let message = `${errors} errors, ${warnings} warnings`
+                if (first !== undefined) {
+                    const filename = path.relative(process.cwd(), path.resolve(first.filename))
+                    message += `\n${filename}:${first.line}: ${first.message}`
+                }
+                else
+                    message += "\nPlease check the Gemstone error output in your terminal."
 
-            /*
-             *  PASS 2: Bundling
-             */
-
-            const Pass2 = async () => {
-                process.stderr.write(chalk.bold("++ PASS 2: COMPILING\n"))
-                process.stderr.write(`-- using configuration for ${chalk.bold.green(opts.env)} environment\n`)
-
-                /*  generate temporary Webpack configuration stub  */
-                const wpcFile = ".gemstone.webpack.js"
-                const gwcFileEsc = gwcFile.replace(/\\/g, "\\\\")
-                const wpcData = `module.exports = require("${gwcFileEsc}")({\n` +
-                `    verbose: ${opts.verbose},\n` +
-                `    env: "${opts.env}",\n` +
-                `    tag: "${opts.tag}"\n` +
-                "})\n"
-                await fs.writeFile(wpcFile, wpcData, { encoding: "utf8" })
-
-                /*  spawn Webpack command-line interface  */
-                const stats = await new Promise((resolve, reject) => {
-                    process.stderr.write("-- executing bundler with Gemstone configuration\n")
-                    const wpOpts = [ webpackCli, "--config", wpcFile, "--bail", "--json" ]
-                    if (opts.debug)
-                        wpOpts.push("--debug")
-                    const child = spawn(nodeExe, wpOpts, { stdio: [ "inherit", "pipe", "inherit" ] })
-                    let stdout = ""
-                    child.stdout.on("data", async (data) => {
-                        stdout += data.toString()
-                    })
-                    child.on("close", async (code) => {
-                        await fs.unlink(wpcFile)
-                        let stats
-                        try {
-                            stats = JSON.parse(stdout)
-                        }
-                        catch (ex) {
-                            process.stderr.write(`ERROR: failed to parse JSON output of Webpack:\n${stdout}`)
-                            reject(new Error(`failed to parse JSON output of Webpack:\n${stdout}`))
-                        }
-                        if (code === 0)
-                            resolve(stats)
-                        else
-                            resolve(stats) /* no need to reject  */
-                    })
+                /*  open the first failing location in the editor on click  */
+                const clickable = first !== undefined && editor !== ""
+                notifier.notify({
+                    title:   `Gemstone Build: ${result.pass.toUpperCase()} FAILED`,
+                    message,
+                    wait:    clickable
+                }, (err, response, metadata) => {
+                    if (!err && clickable && (response === "activate" || response === "clicked"
+                        || (metadata && metadata.activationType === "contentsClicked")))
+                        sourceEditor.open(editor, first)
                 })
+            }
+        }
+        if (hook !== null) {
+            /*  build result hook  */
+            await hook(result).catch((err) => {
+                process.stderr.write(`${chalk.bold.yellow("** WARNING:")} ${chalk.yellow(err.message)}\n\n`)
+            })
+        }
+        return result
+    }
+
+    /*  distinguish between continuous and on-time execution  */
+    if (opts.watch) {
+        /*  continuous execution  */
+        return new Promise((resolve /*, reject */) => {
+            /*  internal state  */
+            let first   = true     /*  is this the first call after last watching?  */
+            let ready   = false    /*  is the filesyste watching already ready?     */
+            let need    = false    /*  is there a need for running the passes?      */
+            let changed = {}       /*  the paths which have changed                 */
+            let timer   = null     /*  the timer for deferred handling              */
+            let running = false    /*  are we currently running the handler         */
+            let action  = null     /*  the key pressed while running the handler    */
+            let last    = null     /*  the result of the last run                   */
+
+            /*  keyboard controls are available on a terminal only  */
+            const keyboard = process.stdin.isTTY === true
+
+            /*  display separator and status  */
+            const separator = () => {
+                process.stderr.write(`${chalk.grey("== ========================================================================= ==")}\n`)
                 process.stderr.write("\n")
+            }
+            const unidle = () => {
+                process.stderr.write("\r                                                             \r")
+            }
+            const idle = () => {
+                process.stderr.write(`## ${chalk.bold("IDLE: WATCHER")}\n`)
+                if (keyboard) {
+                    const keys = [ "[r]ebuild" ]
+                        .concat(passes.lint ? [ "[l]int" ] : [])
+                        .concat(passes.bundle ? [ "[b]undle" ] : [])
+                        .concat([ "[v]erbose", "[c]lear", "[f]indings", "[q]uit" ])
+                    process.stderr.write(`   keys: ${chalk.grey(keys.join(" "))}\n`)
+                }
+                process.stderr.write(`   files changed: ${chalk.bold.yellow("[WAITING FOR FILESYSTEM CHANGES] ")}`)
+            }
 
-                /*  report Webpack on entries  */
-                if (stats.errors.length === 0) {
-                    const data = [ [
-                        chalk.underline("Entry"),
-                        chalk.underline("Chunks"),
-                        chalk.underline("Assets")
-                    ] ]
-                    Object.keys(stats.entrypoints).forEach((name) => {
-                        const entry = stats.entrypoints[name]
-                        data.push([
-                            chalk.bold(name),
-                            entry.chunks.map((chunk) => chalk.green(chunk)).join(", "),
-                            entry.assets.join(", ")
-                        ])
-                    })
-                    process.stderr.write(mktable(data))
-                    process.stderr.write("\n")
+            /*  report failures of runs and key actions (which are not awaited)  */
+            const failed = (err) => {
+                process.stderr.write(`${chalk.bold.red("** ERROR:")} ${chalk.red(err.message || err)}\n\n`)
+            }
+
+            /*  execute the passes and afterwards continue with pending work  */
+            const execute = async (paths, only) => {
+                running = true
+                try {
+                    last = await singleRun(paths, only)
+                }
+                catch (ex) {
+                    failed(ex)
+                }
+                finally {
+                    idle()
+                    running = false
                 }
 
-                /*  report on Webpack chunks  */
-                if (stats.errors.length === 0) {
-                    const data = [ [
-                        chalk.underline("Chunk"),
-                        chalk.underline("Parents"),
-                        chalk.underline("Names"),
-                        chalk.underline("Size"),
-                        chalk.underline("Modules")
-                    ] ]
-                    Object.keys(stats.chunks).forEach((name) => {
-                        const chunk = stats.chunks[name]
-                        data.push([
-                            chalk.green(chunk.id),
-                            chunk.parents.map((chunk) => chalk.green(chunk)).join(", "),
-                            chunk.names.join(", "),
-                            chunk.size,
-                            chunk.modules.length
-                        ])
-                    })
-                    process.stderr.write(mktable(data))
-                    process.stderr.write("\n")
+                /*  was a key pressed or is there a need in the meantime?  */
+                if (action !== null) {
+                    const key = action
+                    action = null
+                    keypress(key)
                 }
+                else if (need) {
+                    if (timer !== null)
+                        clearTimeout(timer)
+                    timer = setTimeout(handler, 0.0 * 1000)
+                }
+            }
 
-                /*  report on Webpack modules  */
-                if (stats.errors.length === 0) {
-                    const data = [ [
-                        chalk.underline("Module"),
-                        chalk.underline("Size"),
-                        chalk.underline("Chunks"),
-                        chalk.underline("Depth")
-                    ] ]
-                    stats.modules.map((module) => {
-                        let name = module.identifier
-                        name = name.replace(/^.*!/, "")
-                        name = path.relative(process.cwd(), name)
-                        return { name, size: module.size, chunks: module.chunks, depth: module.depth }
-                    }).sort((a, b) => {
-                        if (a.depth !== b.depth)
-                            return a.depth - b.depth
-                        else
-                            a.name.localeCompare(b.name)
-                    }).forEach((module) => {
-                        let name = module.name
-                        if (!opts.verbose && name.match(/^(?:node_modules|bower_components)\//))
-                            return
-                        if (module.errors > 0)
-                            name = chalk.red(name)
-                        else if (module.warnings > 0)
-                            name = chalk.yellow(name)
-                        data.push([
-                            name,
-                            module.size,
-                            module.chunks.map((chunk) => chalk.green(chunk)).join(", "),
-                            module.depth
-                        ])
+            /*  deferred handler  */
+            const handler = async () => {
+                timer = null
+                if (running)
+                    return
+                if (!first) {
+                    unidle()
+                    process.stderr.write(`-- files changed: ${chalk.bold.green(Object.keys(changed).length)}\n\n`)
+                    Object.keys(changed).forEach((filename) => {
+                        filename = path.relative(process.cwd(), filename)
+                        process.stderr.write(`   ${chalk.green(filename)}\n`)
                     })
-                    process.stderr.write(mktable(data))
                     process.stderr.write("\n")
+                    separator()
                 }
+                const paths = first ? null : changed
+                first   = false
+                need    = false
+                changed = {}
+                await execute(paths, passes)
+            }
 
-                /*  report Webpack errors  */
-                if (stats.errors.length > 0) {
-                    process.stderr.write(`${chalk.bold.red("** ERROR: Webpack reported the following errors:")}\n`)
-                    process.stderr.write(stats.errors.join("\n"))
+            /*  show the findings of the last run  */
+            const findings = () => {
+                const problems = last === null ? [] : last.findings.map((finding) => ({
+                    severity: finding.severity,
+                    text:     `${path.relative(process.cwd(), path.resolve(finding.filename))}:` +
+                        `${finding.line}:${finding.column}: ${finding.message} [${finding.ruleProc}: ${finding.ruleId}]`
+                })).concat(last.errors.concat(last.warnings).map((problem) => ({
+                    severity: problem.severity,
+                    text:     bundleProblems.format(problem)
+                })))
+                process.stderr.write(`-- findings of last run: ${chalk.bold(problems.length)}\n\n`)
+                problems.forEach((problem) => {
+                    const color = problem.severity === "warning" ? chalk.yellow : chalk.red
+                    process.stderr.write(`   ${color(problem.text)}\n`)
+                })
+                if (problems.length > 0)
                     process.stderr.write("\n")
-                }
+            }
 
-                /*  report Webpack warnings  */
-                if (stats.warnings.length > 0) {
-                    process.stderr.write(`${chalk.bold.yellow("** WARNING: Webpack reported the following warnings")}:\n`)
-                    process.stderr.write(stats.warnings.join("\n"))
-                    process.stderr.write("\n")
+            /*  quit watching  */
+            let watcher = null
+            const quit = async () => {
+                if (timer !== null)
+                    clearTimeout(timer)
+                timer = null
+                unidle()
+                process.stderr.write("-- quitting\n")
+                if (keyboard) {
+                    process.stdin.removeListener("data", onData)
+                    process.stdin.setRawMode(false)
+                    process.stdin.pause()
                 }
-
-                return (stats.errors.length === 0 && stats.warnings.length === 0)
+                if (watcher !== null)
+                    await watcher.close()
+                if (server !== null)
+                    await server.stop()
+                if (pool !== null)
+                    pool.close()
+                for (const filename of Object.keys(tempFiles))
+                    await fs.unlink(filename).catch(() => {})
+                resolve(last)
             }
 
-            /*
-             *  MAIN
-             */
-
-            /*  execute passes  */
-            const singleRun = async () => {
-                let passed = await Pass1()
-                if (passed)
-                    passed = await Pass2()
-                if (opts.beep) {
-                    /*  beep notification  */
-                    if (passed)
-                        beep(1)
-                    else
-                        beep([ 0, 100, 500 ])
+            /*  handle a pressed key  */
+            const keypress = (key) => {
+                if (running) {
+                    action = key
+                    return
                 }
-                if (opts.notify) {
-                    /*  message notification  */
-                    if (passed)
-                        notifier.notify({
-                            title:   "Gemstone Build: OK",
-                            message: "Please reload the application in your browser.",
-                            wait:    false
-                        })
-                    else
-                        notifier.notify({
-                            title:   "Gemstone Build: ERROR",
-                            message: "Please check the Gemstone error output in your terminal.",
-                            wait:    false
-                        })
+                if (key === "r") {
+                    /*  full rebuild (without any cached linting results or Webpack state)  */
+                    unidle()
+                    process.stderr.write("-- full rebuild requested\n\n")
+                    separator()
+                    if (cache !== null)
+                        linters.forEach((entry) => cache.prune(entry.ctx, []))
+                    compiler = null
+                    execute(null, passes).catch(failed)
+                }
+                else if (key === "l" && passes.lint) {
+                    /*  linting only  */
+                    unidle()
+                    process.stderr.write("-- linting requested\n\n")
+                    separator()
+                    execute(null, { lint: true, bundle: false, analyze: false }).catch(failed)
+                }
+                else if (key === "b" && passes.bundle) {
+                    /*  bundling only  */
+                    unidle()
+                    process.stderr.write("-- bundling requested\n\n")
+                    separator()
+                    execute(null, { lint: false, bundle: true, analyze: passes.analyze }).catch(failed)
+                }
+                else if (key === "v") {
+                    /*  toggle verbose output (recreating the bundler, as it is configured with it)  */
+                    opts.verbose = !opts.verbose
+                    compiler = null
+                    unidle()
+                    process.stderr.write(`-- verbose output: ${chalk.bold(opts.verbose ? "enabled" : "disabled")}\n\n`)
+                    idle()
+                }
+                else if (key === "c") {
+                    /*  clear screen  */
+                    process.stderr.write("\u001B[2J\u001B[H")
+                    idle()
+                }
+                else if (key === "f") {
+                    /*  findings of last run  */
+                    unidle()
+                    findings()
+                    idle()
                 }
+                else if (key === "q")
+                    quit().catch(failed)
             }
-
-            /*  distinguish between continuous and on-time execution  */
-            if (opts.watch) {
-                /*  continuous execution  */
-                return new Promise((/* resolve, reject */) => {
-                    /*  internal state  */
-                    let first   = true     /*  is this the first call after last watching?  */
-                    let ready   = false    /*  is the filesyste watching already ready?     */
-                    let need    = false    /*  is there a need for running the passes?      */
-                    let changed = {}       /*  the paths which have changed                 */
-                    let timer   = null     /*  the timer for deferred handling              */
-                    let running = false    /*  are we currently running the handler         */
-
-                    /*  deferred handler  */
-                    const handler = async () => {
-                        running = true
-                        if (!first) {
-                            process.stderr.write("\r                                                             \r")
-                            process.stderr.write(`-- files changed: ${chalk.bold.green(Object.keys(changed).length)}\n\n`)
-                            Object.keys(changed).forEach((filename) => {
-                                filename = path.relative(process.cwd(), filename)
-                                process.stderr.write(`   ${chalk.green(filename)}\n`)
-                            })
-                            process.stderr.write("\n")
-                            process.stderr.write(`${chalk.grey("== ========================================================================= ==")}\n`)
-                            process.stderr.write("\n")
-                        }
-                        first   = false
-                        need    = false
-                        changed = {}
-                        await singleRun()
-                        process.stderr.write(`## ${chalk.bold("IDLE: WATCHER")}\n` +
-                            `   files changed: ${chalk.bold.yellow("[WAITING FOR FILESYSTEM CHANGES] ")}`)
-                        running = false
-
-                        /*  is there ne need in the meantime?  */
-                        if (need) {
-                            if (timer !== null)
-                                clearTimeout(timer)
-                            timer = setTimeout(handler, 0.0 * 1000)
-                        }
+            const onData = (data) => {
+                for (const key of data.toString()) {
+                    if (key === "\u0003") {
+                        /*  CTRL+C (as raw mode does not raise an interrupt signal)  */
+                        process.stdin.setRawMode(false)
+                        process.kill(process.pid, "SIGINT")
+                        return
                     }
-
-                    /*  watch filesystem  */
-                    const watcher = Chokidar.watch(cfg.path.source, {
-                        ignored: /(?:[/\\]\.|\.(sw[px])$|~$|\.subl.*?\.tmp|___jb_tmp___$)/,
-                        ignorePermissionErrors: true,
-                        ignoreInitial: true,
-                        awaitWriteFinish: {
-                            stabilityThreshold: 1.5 * 1000,
-                            pollInterval: 100
-                        }
-                    })
-                    watcher.on("ready", (/* ev, path */) => {
-                        /*  filesysten watching is ready  */
-                        timer = setTimeout(handler, 0.0 * 1000)
-                        ready = true
-                    })
-                    watcher.on("all", (ev, path) => {
-                        /*  filesysten has changed  */
-                        if (ready) {
-                            need = true
-                            changed[path] = true
-                            if (!running) {
-                                if (timer !== null)
-                                    clearTimeout(timer)
-                                timer = setTimeout(handler, 1.0 * 1000)
-                            }
-                        }
-                    })
-                })
+                    keypress(key)
+                }
             }
-            else {
-                /*  one-time execution  */
-                await singleRun()
-                return ""
+            if (keyboard) {
+                process.stdin.setRawMode(true)
+                process.stdin.resume()
+                process.stdin.on("data", onData)
             }
+
+            /*  watch filesystem  */
+            watcher = Chokidar.watch(cfg.path.source, {
+                ignored: /(?:[/\\]\.|\.(sw[px])$|~$|\.subl.*?\.tmp|___jb_tmp___$)/,
+                ignorePermissionErrors: true,
+                ignoreInitial: true,
+                awaitWriteFinish: {
+                    stabilityThreshold: 1.5 * 1000,
+                    pollInterval: 100
+                }
+            })
+            watcher.on("ready", (/* ev, path */) => {
+                /*  filesysten watching is ready  */
+                timer = setTimeout(handler, 0.0 * 1000)
+                ready = true
+            })
+            watcher.on("all", (ev, filename) => {
+                /*  filesysten has changed  */
+                if (ready) {
+                    need = true
+                    changed[path.resolve(filename)] = true
+                    if (!running) {
+                        if (timer !== null)
+                            clearTimeout(timer)
+                        timer = setTimeout(handler, 1.0 * 1000)
+                    }
+                }
+            })
+        })
+    }
+    else if (server !== null) {
+        /*  one-time execution, but continuous serving  */
+        try {
+            await singleRun()
+        }
+        finally {
+            if (pool !== null)
+                pool.close()
+        }
+        process.stderr.write(`## ${chalk.bold("IDLE: SERVER")}\n` +
+            `   serving: ${chalk.bold.yellow(`[WAITING FOR REQUESTS UNDER ${server.url}] `)}`)
+        return new Promise((/* resolve, reject */) => {})
+    }
+    else {
+        /*  one-time execution  */
+        let result
+        try {
+            result = await singleRun()
+        }
+        finally {
+            if (pool !== null)
+                pool.close()
+        }
+        if (!result.passed) {
+            const error = new Error(`Gemstone Frontend ${result.pass} failed`)
+            error.result = result
+            throw error
+        }
+        return result
+    }
+}
+
+/*  execute a build for one target or a matrix of targets (comma-separated environments and tags)  */
+const build = async (opts, passes) => {
+    opts = Object.assign({}, optsDefaults, opts)
+
+    /*  determine targets  */
+    const list = (str) => str.split(",").map((item) => item.trim())
+    const envs = list(opts.env)
+    const tags = list(opts.tag)
+    const matrix = envs.length > 1 || tags.length > 1
+    if (matrix && (opts.watch || opts.server))
+        throw new Error("matrix builds are not supported in watch or server mode")
+
+    /*  display header  */
+    process.stderr.write(mkheader())
+
+    /*  change working directory  */
+    if (opts.cwd !== ".")
+        process.chdir(opts.cwd)
+
+    /*  build a single target  */
+    if (!matrix)
+        return buildTarget(opts, passes)
+
+    /*  check all targets upfront and group them by their linting rules and warning limits  */
+    const cfg  = gemstoneConfig()
+    const fcfg = frontendConfig()
+    const targets = []
+    envs.forEach((env) => {
+        tags.forEach((tag) => {
+            const environment = frontendEnv.resolve(fcfg.environments, env, tag)
+            const maxWarnings = warningsLimit(opts, fcfg, environment)
+            const rules = JSON.stringify([ environment.base, environment.linting, maxWarnings ])
+            targets.push({ env, tag, rules, environment, result: null, reused: false })
+        })
+    })
+
+    /*  give each target its own output directory (unless configured explicitly)
+        and refuse targets which would overwrite each other's bundles  */
+    const name = (env, tag) => `${env}${tag !== "" ? "." + tag : ""}`
+    const outputs = {}
+    targets.forEach((target) => {
+        const webpackOutput = target.environment.webpack.output || {}
+        target.output = webpackOutput.path === undefined ?
+            path.resolve(cfg.path.output, name(target.env, target.tag)) : null
+        const dirname = path.resolve(target.output !== null ? target.output : webpackOutput.path)
+        if (outputs[dirname] !== undefined)
+            throw new Error(`targets "${outputs[dirname]}" and "${name(target.env, target.tag)}" ` +
+                `would both bundle into output directory "${dirname}"`)
+        outputs[dirname] = name(target.env, target.tag)
+    })
+
+    /*  build all targets one after another (with reports and analysis per target)  */
+    const suffixed = (spec, env, tag) =>
+        String(spec).replace(/(\.[^./\\:]+)?$/, (ext) => `.${name(env, tag)}${ext}`)
+    const reports = (env, tag) => [].concat(opts.report)
+        .filter((spec) => spec !== "")
+        .map((spec) => suffixed(spec, env, tag))
+    const linted = {}
+    for (const target of targets) {
+        process.stderr.write(`${chalk.grey("== ========================================================================= ==")}\n`)
+        process.stderr.write(`## ${chalk.bold("TARGET:")} ${chalk.bold.green(target.env)}` +
+            `${target.tag !== "" ? ` (tag ${chalk.bold.green(target.tag)})` : ""}\n\n`)
+        const reuse = passes.lint && linted[target.rules] !== undefined ? linted[target.rules] : null
+        const targetOpts = Object.assign({}, opts, {
+            env:    target.env,
+            tag:    target.tag,
+            report: reports(target.env, target.tag),
+            output: suffixed(opts.output, target.env, target.tag)
+        })
+        const targetPasses = Object.assign({}, passes, { lint: passes.lint && reuse === null })
+        try {
+            target.result = await buildTarget(targetOpts, targetPasses, reuse, target.output)
         }
+        catch (ex) {
+            if (ex.result === undefined)
+                throw ex
+            target.result = ex.result
+        }
+        target.reused = reuse !== null
+        if (passes.lint && reuse === null)
+            linted[target.rules] = target.result
+    }
+
+    /*  report matrix results  */
+    const data = [ [
+        chalk.underline("Environment"),
+        chalk.underline("Tag"),
+        chalk.underline("Linting"),
+        chalk.underline("Result"),
+        chalk.underline("Duration"),
+        chalk.underline("Assets")
+    ] ]
+    targets.forEach((target) => {
+        const result = target.result
+        const size = result.assets.reduce((sum, asset) => sum + asset.size, 0)
+        data.push([
+            chalk.bold(target.env),
+            target.tag !== "" ? target.tag : chalk.grey("none"),
+            passes.lint ? (target.reused ? chalk.grey("reused") : chalk.blue("executed")) : chalk.grey("skipped"),
+            result.passed ? chalk.green("passed") : chalk.red(`${result.pass} failed`),
+            `${(result.timings.total / 1000).toFixed(1)}s`,
+            result.bundle !== null ? sizeBudget.formatSize(size) : chalk.grey("none")
+        ])
     })
+    process.stderr.write(`${chalk.grey("== ========================================================================= ==")}\n`)
+    process.stderr.write(`## ${chalk.bold("MATRIX:")}\n\n`)
+    process.stderr.write(mktable(data))
+    process.stderr.write("\n")
+
+    /*  provide matrix results  */
+    const result = {
+        passed:  targets.every((target) => target.result.passed),
+        targets: targets.map((target) => target.result)
+    }
+    if (!result.passed) {
+        const error = new Error("Gemstone Frontend matrix build failed")
+        error.result = result
+        throw error
+    }
+    return result
 }
 
+/*  show the history of recent builds  */
+const history = async (opts) => {
+    opts = Object.assign({}, { cwd: ".", limit: 20 }, opts)
+    if (!(Number.isInteger(opts.limit) && opts.limit > 0))
+        throw new Error(`invalid number of builds "${opts.limit}"`)
+
+    /*  display header  */
+    process.stderr.write(mkheader())
+
+    /*  change working directory  */
+    if (opts.cwd !== ".")
+        process.chdir(opts.cwd)
+
+    /*  load recent builds  */
+    const builds = (await buildHistory.load()).slice(-opts.limit)
+    if (builds.length === 0) {
+        process.stderr.write("-- no builds recorded yet\n")
+        return { builds, linters: [], modules: [] }
+    }
+    const fmt = buildHistory.formatTime
+
+    /*  report recent builds (with the trend against the previous build of the same target)  */
+    let data = [ [
+        chalk.underline("Time"),
+        chalk.underline("Target"),
+        chalk.underline("Result"),
+        chalk.underline("Linting"),
+        chalk.underline("Bundling"),
+        chalk.underline("Total"),
+        chalk.underline("Trend")
+    ] ]
+    const previous = {}
+    builds.forEach((build) => {
+        const target = `${build.env}${build.tag !== "" ? ":" + build.tag : ""}`
+        const prev = previous[target]
+        let trend = chalk.grey("-")
+        if (prev !== undefined) {
+            const delta = build.timings.total - prev.timings.total
+            trend = delta === 0 ?
+                chalk.grey("0ms") : (delta > 0 ? chalk.red(`+${fmt(delta)}`) : chalk.green(`-${fmt(-delta)}`))
+        }
+        previous[target] = build
+        data.push([
+            build.time.replace(/^(\d+-\d+-\d+)T(\d+:\d+:\d+).*$/, "$1 $2"),
+            chalk.bold(target),
+            build.passed ? chalk.green("passed") : chalk.red(`${build.pass} failed`),
+            fmt(build.timings.lint),
+            fmt(build.timings.bundle),
+            chalk.bold(fmt(build.timings.total)),
+            trend
+        ])
+    })
+    process.stderr.write(mktable(data))
+    process.stderr.write("\n")
+
+    /*  report slowest linters  */
+    const linters = buildHistory.aggregate(builds, (build) =>
+        Object.keys(build.timings.linters || {}).map((ctx) => ({ name: ctx, time: build.timings.linters[ctx] })))
+    if (linters.length > 0) {
+        data = [ [
+            chalk.underline("Linter"),
+            chalk.underline("Average"),
+            chalk.underline("Maximum"),
+            chalk.underline("Runs")
+        ] ]
+        linters.forEach((linter) => {
+            data.push([ chalk.bold(linter.name), fmt(linter.avg), fmt(linter.max), linter.runs ])
+        })
+        process.stderr.write(mktable(data))
+        process.stderr.write("\n")
+    }
+
+    /*  report slowest modules  */
+    const modules = buildHistory.aggregate(builds, (build) => build.timings.modules || []).slice(0, 10)
+    if (modules.length > 0) {
+        data = [ [
+            chalk.underline("Module"),
+            chalk.underline("Average"),
+            chalk.underline("Maximum"),
+            chalk.underline("Builds")
+        ] ]
+        modules.forEach((module) => {
+            data.push([ chalk.bold(module.name), fmt(module.avg), fmt(module.max), module.runs ])
+        })
+        process.stderr.write(mktable(data))
+        process.stderr.write("\n")
+    }
+    return { builds, linters, modules }
+}
+
+/*  export the Gemstone Tool plugin API  */
+module.exports = function () {
+    this.register({
+        name: "frontend-build",
+        desc: "Build Gemstone Frontend Application",
+        opts: [].concat(optsCommon, optsLint, optsBundle, optsServer),
+        args: [
+        ],
+        func: async function (opts /*, ...args */) {
+            return build(opts, { lint: true, bundle: true, analyze: false })
+        }
+    })
+    this.register({
+        name: "frontend-lint",
+        desc: "Lint Gemstone Frontend Application",
+        opts: [].concat(optsCommon, optsLint),
+        args: [
+        ],
+        func: async function (opts /*, ...args */) {
+            return build(opts, { lint: true, bundle: false, analyze: false })
+        }
+    })
+    this.register({
+        name: "frontend-bundle",
+        desc: "Bundle Gemstone Frontend Application",
+        opts: [].concat(optsCommon, optsBundle, optsServer),
+        args: [
+        ],
+        func: async function (opts /*, ...args */) {
+            return build(opts, { lint: false, bundle: true, analyze: false })
+        }
+    })
+    this.register({
+        name: "frontend-analyze",
+        desc: "Analyze Gemstone Frontend Application Bundle",
+        opts: [].concat(optsCommon, optsBundle, optsAnalyze),
+        args: [
+        ],
+        func: async function (opts /*, ...args */) {
+            return build(opts, { lint: false, bundle: true, analyze: true })
+        }
+    })
+    this.register({
+        name: "frontend-history",
+        desc: "Show History of Gemstone Frontend Builds",
+        opts: optsHistory,
+        args: [
+        ],
+        func: async function (opts /*, ...args */) {
+            return history(opts)
+        }
+    })
+}